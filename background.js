@@ -4,8 +4,9 @@
  * 
  * Architecture:
  * - AvatarManager: Core avatar fetching and business logic
+ * - ProviderRegistry: Pluggable, user-ordered avatar sources (see providers/)
  * - CacheManager: Advanced LRU + TTL caching system
- * - MessageHandler: High-performance message communication
+ * - MessageProtocol: Versioned, validated messaging shared with content and options (utils/messaging.js)
  * - ThunderbirdInjector: Thunderbird-specific integration
  */
 
@@ -15,21 +16,116 @@
 class EnhancedAvatarCardManager {
   constructor() {
     // Initialize basic properties first, then load modules
-    this.cache = new Map();
     this.pendingRequests = new Map();
-    this.settings = {
-      maxCacheSize: 200,
-      cacheExpiry: 24 * 60 * 60 * 1000, // 24 hours
-      avatarSize: 32,
-      enableFavicon: true,
-      enableLogoAPI: true,
-      enableGoogleFavicon: true
-    };
+    // Who is waiting for each pending lookup: waiter -> number of calls
+    this.lookupWaiters = new Map();
+    // Content scripts to notify when a refreshed avatar differs from the one they show
+    this.subscriptions = new AvatarSubscriptions();
+    // Latest display name seen per address, for initials
+    this.displayNames = new Map();
+    // Replaced by the stored settings in init()
+    this.settings = SettingsSchema.defaults();
+    
+    // Recently used avatars, bounded by count and by estimated memory
+    this.cache = new LruCache({ maxEntries: this.settings.maxCacheSize, maxBytes: this.settings.maxCacheBytes });
+    
+    // Every outbound lookup goes through one queue with concurrency caps and backoff
+    this.scheduler = new RequestScheduler();
+    this.dnsResolver = new DnsResolver({ fetch: (url, options) => this.scheduler.fetch(url, options) });
+    
+    // Content scripts only receive data URLs, never a remote image address
+    this.imageInliner = new ImageInliner({ fetch: (url, options, request) => this.scheduler.fetch(url, options, request) });
+    this.overrideImages = new Map();
+    
+    // Survives background page unloads when enableLocalCache is on
+    this.persistentCache = new PersistentAvatarCache();
+    
+    // Favicon/logo outcomes shared by all addresses on a domain, misses included
+    this.domainCache = new DomainCache(new PersistentAvatarCache({ storeName: 'domains' }));
+    
+    this.addressBook = new AddressBookLookup();
+    this.consumerDomains = new ConsumerDomains();
+    this.overrides = new AvatarOverrideStore();
+    this.publicSuffixList = new PublicSuffixList();
+    
+    // BIMI headers and DMARC results of displayed messages, per sender
+    this.messageHints = new MessageHintStore();
+    // Addresses known to be mailing lists, from List-Id headers
+    this.mailingLists = new MailingLists();
+    // Draws initials and role avatars; follows the Thunderbird theme
+    this.initialsRenderer = new InitialsRenderer();
+    this.providerRegistry = this.createProviderRegistry();
+    
+    // Warms the cache for new mail and freshly opened folders
+    this.prefetcher = new AvatarPrefetcher({
+      getAvatar: (email, displayName) => this.getAvatar(email, { priority: 'background', displayName }),
+      getSettings: () => this.settings
+    });
     
     // Add avatarManager property to fix undefined reference
     this.avatarManager = this;
     
-    this.init();
+    // Settles once init() is done, whether or not it succeeded
+    this.ready = this.init();
+    this.attachEventListeners();
+  }
+
+  // The background is an event page: only listeners added while this script
+  // first runs, before any await, are primed to wake it when it is suspended.
+  // Handlers wait for init() before touching settings or caches.
+  attachEventListeners() {
+    // Contact edits must replace whatever avatar we resolved before
+    this.addressBook.addChangeListener(async (emails, contactId) => {
+      await this.ready;
+      emails.forEach(email => this.invalidateAvatar(email));
+      if (contactId) {
+        await this.invalidateContact(contactId);
+      }
+    });
+    
+    // BIMI, DMARC and List-Id hints of displayed messages
+    this.messageHints.attach(this.ready);
+    this.messageHints.addListener(hints => this.onMessageHints(hints));
+    
+    // New mail may be what wakes the page; prefetch once settings are loaded
+    this.prefetcher.attach(this.ready);
+  }
+
+  // Avatar sources, in their default order; initials is the fallback
+  createProviderRegistry() {
+    const services = {
+      fetch: (url, options, context) => this.scheduler.fetch(url, options, this.getRequestTag(context)),
+      validateImageUrl: (url, context) => this.validateImageUrl(url, context),
+      addressBook: this.addressBook,
+      dnsResolver: this.dnsResolver,
+      messageHints: this.messageHints,
+      mailingLists: this.mailingLists,
+      overrides: this.overrides,
+      initialsRenderer: this.initialsRenderer,
+      faviconDiscovery: new FaviconDiscovery({
+        fetch: (url, options, context) => this.scheduler.fetch(url, options, this.getRequestTag(context))
+      })
+    };
+
+    return new ProviderRegistry({
+      domainCache: this.domainCache,
+      prepare: (avatar, context) => this.imageInliner.inline(avatar, this.settings.avatarSize, this.getRequestTag(context))
+    })
+      .register(new MailingListProvider(services))
+      .register(new AddressBookProvider(services))
+      .register(new PersonalAvatarProvider(services))
+      .register(new BimiProvider(services))
+      .register(new FaviconProvider(services))
+      .register(new BrandfetchProvider(services))
+      .register(new LogoProvider(services))
+      .register(new GoogleFaviconProvider(services))
+      .register(new CustomUrlProvider(services))
+      .register(new InitialsProvider(services));
+  }
+
+  // Scheduler priority and cancellation group for a provider lookup
+  getRequestTag(context) {
+    return context ? { priority: context.priority, group: context.email } : {};
   }
 
   async init() {
@@ -41,20 +137,33 @@ class EnhancedAvatarCardManager {
         this.avatarManager = this;
       }
       
-      // Load settings from storage if available
-      const stored = await browser.storage.local.get('avatarSettings');
-      if (stored.avatarSettings) {
-        this.settings = { ...this.settings, ...stored.avatarSettings };
-      }
+      await this.loadSettings();
+      this.dnsResolver.setEndpoint(this.settings.dnsResolverUrl);
+      this.configureMemoryCache();
+      this.configureDomainCache();
+      this.consumerDomains.setCustomDomains(this.settings.customConsumerDomains);
+      await this.loadPublicSuffixList();
+      await this.overrides.load();
+      await this.mailingLists.load();
       
       // Ensure avatarManager.settings is accessible
       if (this.avatarManager && !this.avatarManager.settings) {
         this.avatarManager.settings = this.settings;
       }
       
+      this.initialsRenderer.attachTheme(() => {
+        if (this.settings.initialsPalette === 'theme' || this.settings.initialsColorMode === 'auto') {
+          this.invalidateGeneratedAvatars();
+        }
+      });
+      
+      if (browser.tabs && browser.tabs.onRemoved) {
+        browser.tabs.onRemoved.addListener(tabId => this.subscriptions.removeTab(tabId));
+      }
+      
       // Set up message listeners
       if (browser.runtime && browser.runtime.onMessage) {
-        browser.runtime.onMessage.addListener(this.handleMessage.bind(this));
+        browser.runtime.onMessage.addListener(MessageProtocol.createListener(this.getMessageHandlers()));
       }
       
       // Set up periodic maintenance
@@ -79,360 +188,845 @@ class EnhancedAvatarCardManager {
     }
   }
 
-  // Handle runtime messages
-  async handleMessage(message, sender, sendResponse) {
+  // A sender that turns out to be a mailing list gets the list avatar, and a
+  // sender's first DMARC-passing message may unlock a BIMI logo that ranks
+  // above the avatar we already cached for them
+  async onMessageHints(hints) {
+    const list = hints.list && hints.list.isSender ? hints.list : null;
+    if (this.mailingLists.remember(hints.email, list)) {
+      await this.invalidateAvatar(hints.email);
+      return;
+    }
+    if (!hints.dmarcPass) return;
+
+    const cached = this.cache.peek(hints.email);
+    let avatar = cached ? cached.value : null;
+    if (!cached && this.settings.enableLocalCache) {
+      const record = await this.persistentCache.get(hints.email).catch(() => null);
+      avatar = record ? record.data : null;
+    }
+    if (!avatar) return;
+
+    const order = this.providerRegistry.getOrderedProviders(this.settings).map(provider => provider.id);
+    if (order.indexOf('bimi') < order.indexOf(avatar.provider)) {
+      await this.invalidateAvatar(hints.email);
+    }
+  }
+
+  // A user-imported list takes precedence over the bundled snapshot
+  async loadPublicSuffixList() {
     try {
-      switch (message.type) {
-        case 'getAvatar':
-          const avatar = await this.getAvatar(message.email);
-          sendResponse({ success: true, avatar });
-          break;
-        case 'updateSettings':
-          const settings = await this.updateSettings(message.settings);
-          sendResponse({ success: true, settings });
-          break;
-        case 'clearCache':
-          const result = this.clearCache();
-          sendResponse({ success: true, result });
-          break;
-        case 'getCacheStats':
-          const stats = this.getCacheStats();
-          sendResponse({ success: true, stats });
-          break;
-        default:
-          sendResponse({ success: false, error: 'Unknown message type' });
+      const stored = await browser.storage.local.get('publicSuffixList');
+      if (stored.publicSuffixList && stored.publicSuffixList.text) {
+        this.publicSuffixList.load(stored.publicSuffixList.text);
+        this.publicSuffixSource = {
+          source: 'imported',
+          fileName: stored.publicSuffixList.fileName || null,
+          updatedAt: stored.publicSuffixList.updatedAt || null
+        };
+        return;
       }
     } catch (error) {
-      console.error('Message handling error:', error);
-      sendResponse({ success: false, error: error.message });
+      console.warn('Imported public suffix list could not be loaded, using bundled copy:', error);
     }
-    return true; // Keep message channel open for async response
+
+    try {
+      const response = await fetch(browser.runtime.getURL(PublicSuffixList.BUNDLED_PATH));
+      this.publicSuffixList.load(await response.text());
+      this.publicSuffixSource = { source: 'bundled', fileName: null, updatedAt: null };
+    } catch (error) {
+      console.error('Bundled public suffix list could not be loaded:', error);
+    }
+  }
+
+  // Replace the list with an imported .dat file, or revert to the bundled one (text = null)
+  async updatePublicSuffixList(text, fileName = null) {
+    if (text === null) {
+      await browser.storage.local.remove('publicSuffixList');
+    } else {
+      // Validate before storing so a bad file cannot replace a working list
+      new PublicSuffixList().load(text);
+      await browser.storage.local.set({
+        publicSuffixList: { text, fileName, updatedAt: Date.now() }
+      });
+    }
+
+    await this.loadPublicSuffixList();
+    // Registrable domains may have changed, so domain-level outcomes are stale
+    this.cache.clear();
+    await this.domainCache.clear();
+    return this.getPublicSuffixInfo();
+  }
+
+  getPublicSuffixInfo() {
+    return {
+      ruleCount: this.publicSuffixList.ruleCount,
+      ...(this.publicSuffixSource || { source: 'none', fileName: null, updatedAt: null })
+    };
   }
 
-  async getAvatar(email) {
+  // Handlers for each MessageProtocol request type
+  getMessageHandlers() {
+    return {
+      getAvatar: async ({ email, priority, displayName }, sender) => {
+        this.subscriptions.add(email.toLowerCase().trim(), sender);
+        return { avatar: await this.getAvatar(email, { priority, displayName, waiter: this.getWaiterKey(sender) }) };
+      },
+      cancelAvatars: async ({ emails }, sender) => ({ cancelled: this.cancelAvatars(emails, this.getWaiterKey(sender)) }),
+      getSettings: async () => ({ settings: this.settings }),
+      updateSettings: async ({ settings }) => ({ settings: await this.updateSettings(settings) }),
+      clearCache: async () => this.clearCache(),
+      getCacheStats: async () => ({ stats: await this.getCacheStats() }),
+      getProviders: async () => ({ providers: this.providerRegistry.describe(this.settings) }),
+      getOverrides: async () => ({ overrides: this.overrides.list() }),
+      saveOverride: async ({ override }) => {
+        const saved = await this.overrides.save(override);
+        await this.invalidateListOverride(saved);
+        return { override: saved };
+      },
+      deleteOverride: async ({ id }) => {
+        const removed = this.overrides.list().find(override => override.id === id);
+        const deleted = await this.overrides.remove(id);
+        await this.invalidateListOverride(removed);
+        return { deleted };
+      },
+      exportSettings: async ({ includeCache, includeSecrets }) => ({
+        bundle: await this.exportSettingsBundle({ includeCache, includeSecrets })
+      }),
+      previewImport: async ({ bundle }) => ({ preview: this.previewSettingsBundle(bundle) }),
+      importSettings: async ({ bundle, mode }) => ({ summary: await this.importSettingsBundle(bundle, mode) }),
+      getPublicSuffixInfo: async () => ({ info: this.getPublicSuffixInfo() }),
+      updatePublicSuffixList: async ({ text, fileName }) => ({
+        info: await this.updatePublicSuffixList(text, fileName || null)
+      })
+    };
+  }
+
+  // options.priority: 'visible' for on-screen addresses, 'normal' or 'background'
+  // options.displayName: name shown with the address, if known
+  // options.waiter: who asks, so that only its own cancellation withdraws it
+  async getAvatar(email, options = {}) {
     if (!email) return null;
+    const priority = options.priority || 'normal';
     
     const normalizedEmail = email.toLowerCase().trim();
+    if (options.displayName) {
+      await this.rememberDisplayName(normalizedEmail, options.displayName);
+    }
+    
+    // Manual overrides win over every cache and provider
+    const override = this.overrides.match(normalizedEmail);
+    if (override && await this.canApplyOverride(override, normalizedEmail)) {
+      return this.resolveOverride(override, normalizedEmail, priority);
+    }
     
-    // Check memory cache first
+    // Check memory cache first; expired entries are still served while a
+    // background refresh runs
     const cached = this.cache.get(normalizedEmail);
-    if (cached && Date.now() - cached.timestamp < this.settings.cacheExpiry) {
-      return cached.data;
+    if (cached && Date.now() - cached.timestamp < this.getStaleLimit()) {
+      if (this.isExpired(cached.timestamp)) {
+        this.revalidateAvatar(normalizedEmail, cached.value);
+      }
+      return cached.value;
+    }
+
+    // Then the persistent tier
+    const persisted = await this.loadPersistedAvatar(normalizedEmail);
+    if (persisted) {
+      this.cacheAvatar(normalizedEmail, persisted.data, persisted.timestamp);
+      if (this.isExpired(persisted.timestamp)) {
+        this.revalidateAvatar(normalizedEmail, persisted.data);
+      }
+      return persisted.data;
+    }
+
+    return this.refreshAvatar(normalizedEmail, priority, options.waiter);
+  }
+
+  // Content script frames are identified by tab and frame; every other
+  // caller waits on its own and never cancels
+  getWaiterKey(sender) {
+    return sender && sender.tab ? `${sender.tab.id}:${sender.frameId || 0}` : Symbol('waiter');
+  }
+
+  // Resolve an address for one waiter; the lookup itself is shared
+  async refreshAvatar(normalizedEmail, priority = 'normal', waiter = Symbol('waiter')) {
+    const waiters = this.lookupWaiters.get(normalizedEmail) || new Map();
+    waiters.set(waiter, (waiters.get(waiter) || 0) + 1);
+    this.lookupWaiters.set(normalizedEmail, waiters);
+
+    try {
+      return await this.runLookup(normalizedEmail, priority);
+    } finally {
+      const count = waiters.get(waiter) || 0;
+      if (count > 1) {
+        waiters.set(waiter, count - 1);
+      } else {
+        waiters.delete(waiter);
+      }
+      if (waiters.size === 0 && this.lookupWaiters.get(normalizedEmail) === waiters) {
+        this.lookupWaiters.delete(normalizedEmail);
+      }
     }
+  }
 
+  // Run the provider chain for an address and cache the result; concurrent
+  // callers share one lookup
+  async runLookup(normalizedEmail, priority) {
     // Check if request is already pending
     if (this.pendingRequests.has(normalizedEmail)) {
-      return this.pendingRequests.get(normalizedEmail);
+      if (!this.scheduler.isCancelled(normalizedEmail)) {
+        // An address that scrolled into view jumps the queue
+        this.scheduler.reprioritize(normalizedEmail, priority);
+        return this.pendingRequests.get(normalizedEmail);
+      }
+      // A cancelled lookup is winding down; start over once it has
+      await this.pendingRequests.get(normalizedEmail).catch(() => null);
     }
 
     // Create new request
-    const promise = this.fetchAvatar(normalizedEmail);
+    const promise = this.fetchAvatar(normalizedEmail, priority);
     this.pendingRequests.set(normalizedEmail, promise);
     
     try {
       const result = await promise;
-      this.cacheAvatar(normalizedEmail, result);
+      // Lookups cut short by cancellation are incomplete and must not be cached
+      if (!this.scheduler.isCancelled(normalizedEmail)) {
+        this.cacheAvatar(normalizedEmail, result);
+        this.persistAvatar(normalizedEmail, result);
+      }
       return result;
     } finally {
       this.pendingRequests.delete(normalizedEmail);
+      this.scheduler.release(normalizedEmail);
     }
   }
 
-  async fetchAvatar(email) {
-    // Use new business avatar system
-    return this.getBusinessAvatar(email);
+  // Generated initials depend on the display name, so a new name for an
+  // address replaces its cached initials
+  async rememberDisplayName(normalizedEmail, displayName) {
+    const name = String(displayName).trim().slice(0, 200);
+    const previous = this.displayNames.get(normalizedEmail);
+
+    this.displayNames.delete(normalizedEmail);
+    this.displayNames.set(normalizedEmail, name);
+    if (this.displayNames.size > EnhancedAvatarCardManager.MAX_DISPLAY_NAMES) {
+      this.displayNames.delete(this.displayNames.keys().next().value);
+    }
+    if (previous === name) return;
+
+    const cached = this.cache.peek(normalizedEmail);
+    let avatar = cached ? cached.value : null;
+    if (!cached && this.settings.enableLocalCache) {
+      const record = await this.persistentCache.get(normalizedEmail).catch(() => null);
+      avatar = record ? record.data : null;
+    }
+    if (avatar && avatar.provider === 'initials') {
+      await this.invalidateAvatar(normalizedEmail);
+    }
   }
 
-  async getBusinessAvatar(email) {
-    const domain = this.extractDomain(email);
-    
-    // Priority 1: Company favicon
-    if (this.settings.enableFavicon) {
-      try {
-        const faviconUrl = await this.getFaviconUrl(domain);
-        if (await this.validateImageUrl(faviconUrl)) {
-          return {
-            url: faviconUrl,
-            type: 'favicon',
-            domain: domain,
-            size: this.settings.avatarSize,
-            email: email
-          };
-        }
-      } catch (error) {
-        console.debug('Favicon fetch failed for', domain, error);
+  // Older than cacheExpiry: still shown, but due for a refresh
+  isExpired(timestamp) {
+    return Date.now() - timestamp >= this.settings.cacheExpiry;
+  }
+
+  // Expired avatars are served for at most one more cacheExpiry period before
+  // a lookup blocks again
+  getStaleLimit() {
+    return this.settings.cacheExpiry * 2;
+  }
+
+  // Resolve again at background priority and push the result to the cards
+  // showing the address if it differs from what they have
+  async revalidateAvatar(normalizedEmail, current) {
+    if (this.pendingRequests.has(normalizedEmail)) return;
+
+    const startedAt = Date.now();
+    try {
+      const fresh = await this.refreshAvatar(normalizedEmail, 'background');
+      // Not cached means the refresh was cancelled and may be incomplete
+      const entry = this.cache.peek(normalizedEmail);
+      if (!entry || entry.timestamp < startedAt) return;
+
+      if (!this.isSameAvatar(current, fresh)) {
+        await this.pushAvatarUpdate(normalizedEmail, fresh);
       }
+    } catch (error) {
+      console.debug('Avatar refresh failed for', normalizedEmail, error);
     }
+  }
+
+  isSameAvatar(a, b) {
+    if (!a || !b) return a === b;
+    return a.url === b.url && a.srcset === b.srcset && a.provider === b.provider;
+  }
 
-    // Priority 2: Logo APIs
-    if (this.settings.enableLogoAPI) {
+  // Deliver a changed avatar to every tab frame that asked for the address;
+  // frames that no longer answer or show no card for it are forgotten
+  async pushAvatarUpdate(normalizedEmail, avatar) {
+    const targets = this.subscriptions.get(normalizedEmail);
+    await Promise.all(targets.map(async target => {
       try {
-        const logoUrl = await this.getCompanyLogo(domain);
-        if (await this.validateImageUrl(logoUrl)) {
-          return {
-            url: logoUrl,
-            type: 'company-logo',
-            domain: domain,
-            size: this.settings.avatarSize,
-            email: email
-          };
+        const { updated } = await MessageProtocol.sendToTab(target.tabId, 'avatarUpdated', {
+          email: normalizedEmail,
+          avatar: avatar
+        }, target.frameId);
+        if (updated === 0) {
+          this.subscriptions.remove(normalizedEmail, target);
         }
       } catch (error) {
-        console.debug('Company logo fetch failed for', domain, error);
+        this.subscriptions.remove(normalizedEmail, target);
       }
-    }
+    }));
+  }
 
-    // Priority 3: Google favicon service
-    if (this.settings.enableGoogleFavicon) {
-      try {
-        const googleFaviconUrl = `https://www.google.com/s2/favicons?domain=${domain}&sz=${this.settings.avatarSize}`;
-        if (await this.validateImageUrl(googleFaviconUrl)) {
-          return {
-            url: googleFaviconUrl,
-            type: 'google-favicon',
-            domain: domain,
-            size: this.settings.avatarSize,
-            email: email
-          };
-        }
-      } catch (error) {
-        console.debug('Google favicon fetch failed for', domain, error);
+  // Withdraw waiter from the lookups of emails; queued network requests are
+  // only cancelled for addresses nobody else is waiting for, since a cut-short
+  // lookup would leave them with an incomplete avatar
+  cancelAvatars(emails, waiter) {
+    let cancelled = 0;
+    emails.forEach(email => {
+      const normalizedEmail = String(email).toLowerCase().trim();
+      const waiters = this.lookupWaiters.get(normalizedEmail);
+      if (!this.pendingRequests.has(normalizedEmail) || !waiters || !waiters.delete(waiter)) return;
+      if (waiters.size === 0) {
+        this.lookupWaiters.delete(normalizedEmail);
+        this.scheduler.cancel(normalizedEmail);
+        cancelled++;
       }
-    }
+    });
+    return cancelled;
+  }
 
-    // Fallback: Enhanced business initials
-    return this.createBusinessInitials(email, domain);
+  async fetchAvatar(email, priority = 'normal') {
+    // Use new business avatar system
+    return this.getBusinessAvatar(email, priority);
   }
 
-  getGravatarUrl(email) {
-    const hash = this.md5Hash(email);
-    return `https://www.gravatar.com/avatar/${hash}?s=${this.settings.avatarSize}&d=404`;
+  async getBusinessAvatar(email, priority = 'normal') {
+    const context = this.createLookupContext(email);
+    context.priority = priority;
+    context.allowRemote = await this.isRemoteLookupAllowed(context);
+    return this.providerRegistry.resolve(context);
   }
 
-  createBusinessInitials(email, domain) {
-    const initials = this.generateBusinessInitials(email);
-    const colors = this.getBusinessColors(domain);
-    
-    const svg = `
-      <svg width="${this.settings.avatarSize}" height="${this.settings.avatarSize}" viewBox="0 0 64 64" xmlns="http://www.w3.org/2000/svg">
-        <defs>
-          <linearGradient id="businessGrad" x1="0%" y1="0%" x2="100%" y2="100%">
-            <stop offset="0%" style="stop-color:${colors.primary};stop-opacity:1" />
-            <stop offset="100%" style="stop-color:${colors.secondary};stop-opacity:1" />
-          </linearGradient>
-          <filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">
-            <feDropShadow dx="1" dy="2" stdDeviation="2" flood-color="#000000" flood-opacity="0.2"/>
-          </filter>
-        </defs>
-        <circle cx="32" cy="32" r="30" fill="url(#businessGrad)" stroke="${colors.border}" stroke-width="1.5" filter="url(#shadow)"/>
-        <text x="32" y="40" text-anchor="middle" fill="white" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif" font-size="18" font-weight="600" letter-spacing="0.5px">${initials}</text>
-      </svg>
-    `.trim();
-    
+  // privacyMode 'open': remote lookups for everyone; 'trusted': only for address
+  // book contacts and allow-listed domains; 'offline': local sources only
+  async isRemoteLookupAllowed(context) {
+    switch (this.settings.privacyMode) {
+      case 'offline':
+        return false;
+      case 'trusted':
+        return this.isAllowListedDomain(context.domain) || await this.addressBook.hasContact(context.email);
+      default:
+        return true;
+    }
+  }
+
+  isAllowListedDomain(domain) {
+    if (!domain) return false;
+    return (this.settings.remoteLookupDomains || [])
+      .some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+  }
+
+  createLookupContext(email) {
+    const domain = this.extractDomain(email);
     return {
-      url: `data:image/svg+xml;base64,${btoa(svg)}`,
-      type: 'business-initials',
+      email: email,
       domain: domain,
+      registrableDomain: domain && this.publicSuffixList.getRegistrableDomain(domain),
+      displayName: this.displayNames.get(email) || null,
+      isConsumerDomain: this.consumerDomains.isConsumer(domain),
+      settings: this.settings
+    };
+  }
+
+  // A URL override is downloaded from its host, so the privacy mode has to
+  // allow remote lookups for the sender; otherwise the regular lookup runs
+  async canApplyOverride(override, email) {
+    return override.mode !== 'url' || this.isRemoteLookupAllowed(this.createLookupContext(email));
+  }
+
+  // "none" hides the card; image and URL overrides are inlined once per
+  // override revision and avatar size, then reused for every matching address
+  async resolveOverride(override, email, priority = 'normal') {
+    if (override.mode === 'none') return null;
+
+    const context = this.createLookupContext(email);
+    const source = { provider: 'override', overrideId: override.id };
+
+    if (override.mode === 'initials') {
+      const initials = this.providerRegistry.get('initials');
+      return { ...initials.createBusinessInitials(context, override.value || undefined), ...source };
+    }
+
+    const key = `${override.id}:${override.updatedAt}:${this.settings.avatarSize}`;
+    if (!this.overrideImages.has(key)) {
+      const image = this.imageInliner.inline({ url: override.value, type: 'override' }, this.settings.avatarSize, { priority })
+        .catch(error => {
+          console.debug('Override image could not be inlined:', override.value, error);
+          return null;
+        });
+      this.overrideImages.set(key, image);
+    }
+
+    const image = await this.overrideImages.get(key);
+    if (!image) {
+      this.overrideImages.delete(key);
+      return null;
+    }
+
+    return {
+      ...image,
+      domain: context.domain,
       size: this.settings.avatarSize,
       email: email,
-      initials: initials
+      ...source
     };
   }
 
-  cacheAvatar(email, data) {
-    // Implement LRU cache
-    if (this.cache.size >= this.settings.maxCacheSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+  cacheAvatar(email, data, timestamp = Date.now()) {
+    this.cache.set(email, data, timestamp);
+  }
+
+  async loadPersistedAvatar(email) {
+    if (!this.settings.enableLocalCache) return null;
+
+    try {
+      const record = await this.persistentCache.get(email);
+      if (!record) return null;
+
+      if (Date.now() - record.timestamp >= this.getStaleLimit()) {
+        await this.persistentCache.delete(email);
+        return null;
+      }
+
+      // Entries from before images were inlined may still point at a remote URL
+      if (!record.image && record.data && !String(record.data.url).startsWith('data:')) {
+        await this.persistentCache.delete(email);
+        return null;
+      }
+
+      // Serve the stored bytes instead of the original remote URL
+      const data = record.image
+        ? { ...record.data, url: await this.blobToDataUrl(record.image), sourceUrl: record.data.url }
+        : record.data;
+
+      return { data, timestamp: record.timestamp };
+    } catch (error) {
+      console.debug('Persistent cache read failed for', email, error);
+      return null;
     }
-    
-    this.cache.set(email, {
-      data: data,
-      timestamp: Date.now()
+  }
+
+  async persistAvatar(email, data) {
+    if (!this.settings.enableLocalCache || !data) return;
+
+    try {
+      // Avatars arrive already inlined, so the data URLs are stored as they are
+      await this.persistentCache.set(email, data);
+    } catch (error) {
+      console.debug('Persistent cache write failed for', email, error);
+    }
+  }
+
+  async invalidateAvatar(email) {
+    const normalizedEmail = email.toLowerCase().trim();
+    const cached = this.cache.peek(normalizedEmail);
+    this.cache.delete(normalizedEmail);
+    try {
+      await this.persistentCache.delete(normalizedEmail);
+    } catch (error) {
+      console.debug('Persistent cache delete failed for', normalizedEmail, error);
+    }
+
+    // Cards already on screen get the replacement without a rescan
+    if (this.subscriptions.has(normalizedEmail)) {
+      this.revalidateAvatar(normalizedEmail, cached && cached.value);
+    }
+  }
+
+  // Photos of a contact whose addresses are not known here, e.g. one deleted
+  // while the event page was suspended
+  async invalidateContact(contactId) {
+    const isContact = avatar => !!avatar && avatar.contactId === contactId;
+    const emails = this.cache.report()
+      .map(({ key }) => key)
+      .filter(key => isContact(this.cache.peek(key).value));
+    await Promise.all(emails.map(email => this.invalidateAvatar(email)));
+
+    if (this.settings.enableLocalCache) {
+      await this.persistentCache.prune(Infinity, record => isContact(record.data))
+        .catch(error => {
+          console.debug('Persistent cache prune failed:', error);
+        });
+    }
+  }
+
+  // Initials, role and list avatars, in memory and on disk; addresses on
+  // screen are redrawn right away
+  async invalidateGeneratedAvatars() {
+    const isGenerated = avatar => !!avatar && EnhancedAvatarCardManager.GENERATED_PROVIDERS.includes(avatar.provider);
+    const generated = this.cache.report()
+      .map(({ key }) => key)
+      .filter(key => isGenerated(this.cache.peek(key).value));
+    await Promise.all(generated.map(email => this.invalidateAvatar(email)));
+
+    if (this.settings.enableLocalCache) {
+      await this.persistentCache.prune(Infinity, record => isGenerated(record.data))
+        .catch(error => {
+          console.debug('Persistent cache prune failed:', error);
+        });
+    }
+  }
+
+  // List overrides are applied by the mailing list provider, so the list's
+  // cached avatars have to go when one changes
+  async invalidateListOverride(override) {
+    if (!override || override.matchType !== 'list') return;
+
+    const senders = Array.from(this.mailingLists.senders)
+      .filter(([, list]) => list.id === override.pattern)
+      .map(([email]) => email);
+    await Promise.all(senders.map(email => this.invalidateAvatar(email)));
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
     });
   }
 
   cleanCache() {
-    const now = Date.now();
-    for (const [email, cached] of this.cache.entries()) {
-      if (now - cached.timestamp > this.settings.cacheExpiry) {
-        this.cache.delete(email);
-      }
+    this.cache.prune(this.getStaleLimit());
+
+    if (this.settings.enableLocalCache) {
+      this.persistentCache.prune(this.getStaleLimit()).catch(error => {
+        console.debug('Persistent cache prune failed:', error);
+      });
     }
+
+    this.domainCache.prune();
+  }
+
+  configureMemoryCache() {
+    this.cache.configure({
+      maxEntries: this.settings.maxCacheSize,
+      maxBytes: this.settings.maxCacheBytes
+    });
+  }
+
+  configureDomainCache() {
+    this.domainCache.configure({
+      ttl: this.settings.cacheExpiry,
+      negativeTtl: this.settings.negativeCacheExpiry,
+      persist: this.settings.enableLocalCache
+    });
+  }
+
+  // Stored settings, brought up to the current schema version
+  async loadSettings() {
+    const stored = await browser.storage.local.get([SettingsSchema.STORAGE_KEY, SettingsSchema.VERSION_KEY]);
+    const storedSettings = stored[SettingsSchema.STORAGE_KEY];
+    if (!storedSettings) return;
+
+    const version = stored[SettingsSchema.VERSION_KEY] || 1;
+    const { settings, dropped } = SettingsSchema.migrate(storedSettings, version);
+    this.settings = settings;
+    if (dropped.length > 0) {
+      console.warn('Avatar Card View: reset invalid stored settings to defaults:', dropped.join(', '));
+    }
+    if (version < SettingsSchema.VERSION || dropped.length > 0) {
+      await this.saveSettings();
+    }
+  }
+
+  async saveSettings() {
+    await browser.storage.local.set({
+      [SettingsSchema.STORAGE_KEY]: this.settings,
+      [SettingsSchema.VERSION_KEY]: SettingsSchema.VERSION
+    });
   }
 
   async updateSettings(newSettings) {
-    this.settings = { ...this.settings, ...newSettings };
+    // Rejected before anything changes when a value does not fit the schema
+    let update;
+    try {
+      update = SettingsSchema.validate(newSettings);
+    } catch (error) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.INVALID_PAYLOAD, error.message);
+    }
+    const previous = this.settings;
+    this.settings = { ...this.settings, ...update };
+    const changed = key => JSON.stringify(previous[key]) !== JSON.stringify(this.settings[key]);
+    
+    // Size, sources, their order or privacy rules may give an address a
+    // different avatar. Remember what the cards on screen show so that only
+    // those addresses are resolved again, and only real changes pushed.
+    const avatarChanged = this.getAvatarSettingKeys().some(changed);
+    const onScreen = avatarChanged
+      ? this.subscriptions.emails().map(email => [email, (this.cache.peek(email) || {}).value])
+      : [];
+    if (avatarChanged) {
+      this.cache.clear();
+    }
+    
+    // Inlined images were scaled for the old size
+    if (changed('avatarSize')) {
+      this.overrideImages.clear();
+    }
+    
+    // Avatars resolved under looser privacy rules must not be shown any more,
+    // and turning local caching off should not leave avatars on disk
+    const privacyChanged = changed('privacyMode') || changed('remoteLookupDomains');
+    const localCacheOff = previous.enableLocalCache && !this.settings.enableLocalCache;
+    if (privacyChanged || localCacheOff || avatarChanged) {
+      await this.persistentCache.clear().catch(error => {
+        console.debug('Persistent cache clear failed:', error);
+      });
+    }
+    // Domain entries, misses included, were found with the old size, key or theme
+    if (privacyChanged || localCacheOff || this.providerRegistry.getDomainSettingKeys().some(changed)) {
+      await this.domainCache.clear();
+    }
+    this.configureMemoryCache();
+    this.configureDomainCache();
+    this.consumerDomains.setCustomDomains(this.settings.customConsumerDomains);
+    
+    // Generated avatars are redrawn in the new style
+    const appearanceChanged = EnhancedAvatarCardManager.INITIALS_SETTINGS.some(changed);
+    if (appearanceChanged && !avatarChanged) {
+      await this.invalidateGeneratedAvatars();
+    }
+    
+    this.dnsResolver.setEndpoint(this.settings.dnsResolverUrl);
+    this.providerRegistry.notifySettingsChanged(this.settings);
+    if (!this.settings.enablePrefetch) {
+      this.prefetcher.clear();
+    }
     
     // Sync with avatarManager property if it exists
     if (this.avatarManager && this.avatarManager !== this) {
       this.avatarManager.settings = this.settings;
     }
     
-    await browser.storage.local.set({ avatarSettings: this.settings });
+    // Open cards switch over through avatarUpdated; card position and
+    // animation reach the content scripts through storage.onChanged
+    onScreen.forEach(([email, current]) => this.revalidateAvatar(email, current));
+    
+    await this.saveSettings();
     return this.settings;
   }
 
-  clearCache() {
+  // Settings that decide which avatar an address gets
+  getAvatarSettingKeys() {
+    return [...EnhancedAvatarCardManager.AVATAR_SETTINGS, ...this.providerRegistry.getSettingKeys()];
+  }
+
+  async clearCache() {
     this.cache.clear();
+    this.overrideImages.clear();
+    await this.domainCache.clear();
+    try {
+      await this.persistentCache.clear();
+    } catch (error) {
+      console.debug('Persistent cache clear failed:', error);
+    }
     return { cleared: true };
   }
 
-  getCacheStats() {
-    // Safe access to settings with fallback
-    const settings = this.settings || this.avatarManager?.settings || {};
-    
-    return {
-      size: this.cache.size,
-      maxSize: settings.maxCacheSize || 200,
-      settings: settings
-    };
+  // Settings, provider order, overrides and optionally cached avatars as one bundle
+  async exportSettingsBundle({ includeCache = false, includeSecrets = false } = {}) {
+    let cache = null;
+    if (includeCache && this.settings.enableLocalCache) {
+      const records = await this.persistentCache.getAll();
+      cache = await Promise.all(records.map(async record => ({
+        email: record.email,
+        data: record.data,
+        image: record.image ? await this.blobToDataUrl(record.image) : null,
+        timestamp: record.timestamp
+      })));
+    }
+
+    return SettingsBundle.create({
+      settings: this.settings,
+      overrides: this.overrides.list(),
+      cache: cache,
+      includeSecrets: includeSecrets,
+      extensionVersion: browser.runtime.getManifest ? browser.runtime.getManifest().version : null
+    });
   }
 
-  // Business avatar helper methods
-  extractDomain(email) {
-    if (!email) return null;
-    const match = email.match(/@([^@]+\.[^@]+)$/);
-    return match ? match[1].toLowerCase() : null;
+  validateSettingsBundle(bundle) {
+    return SettingsBundle.validate(bundle);
   }
 
-  generateBusinessInitials(email) {
-    const [localPart] = email.split('@');
-    
-    if (localPart.includes('.')) {
-      // firstname.lastname@domain.com
-      const parts = localPart.split('.');
-      return parts.slice(0, 2).map(part => part.charAt(0).toUpperCase()).join('');
-    } else if (localPart.includes('-')) {
-      // first-last@domain.com  
-      const parts = localPart.split('-');
-      return parts.slice(0, 2).map(part => part.charAt(0).toUpperCase()).join('');
-    } else if (localPart.length >= 2) {
-      // Single name: take first two characters
-      return localPart.substring(0, 2).toUpperCase();
-    } else {
-      // Single character: duplicate it
-      return localPart.charAt(0).toUpperCase().repeat(2);
-    }
+  previewSettingsBundle(bundle) {
+    const incoming = this.validateSettingsBundle(bundle);
+    return SettingsBundle.diff({ settings: this.settings, overrides: this.overrides.list() }, incoming);
   }
 
-  getBusinessColors(domain) {
-    const colorSchemes = [
-      { primary: '#1e40af', secondary: '#3b82f6', border: '#1d4ed8' }, // Professional Blue
-      { primary: '#047857', secondary: '#10b981', border: '#059669' }, // Corporate Green  
-      { primary: '#7c2d12', secondary: '#ea580c', border: '#c2410c' }, // Business Orange
-      { primary: '#581c87', secondary: '#8b5cf6', border: '#7c3aed' }, // Executive Purple
-      { primary: '#374151', secondary: '#6b7280', border: '#4b5563' }, // Corporate Gray
-      { primary: '#b91c1c', secondary: '#ef4444', border: '#dc2626' }, // Executive Red
-      { primary: '#0f766e', secondary: '#14b8a6', border: '#0d9488' }, // Teal Corporate
-      { primary: '#92400e', secondary: '#f59e0b', border: '#d97706' }  // Gold Business
-    ];
+  async importSettingsBundle(bundle, mode) {
+    if (!SettingsBundle.MODES.includes(mode)) {
+      throw new Error(`Unknown import mode "${mode}"`);
+    }
+
+    const incoming = this.validateSettingsBundle(bundle);
+    const replace = mode === 'replace';
+    const previous = this.settings;
 
-    let hash = 0;
-    const input = domain || email || 'default';
-    for (let i = 0; i < input.length; i++) {
-      const char = input.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+    // Replace starts over from defaults, but keeps secrets a shared bundle
+    // leaves out. The complete target goes through updateSettings so that it
+    // compares against the settings actually in use.
+    let target = incoming.settings;
+    if (replace) {
+      const secrets = {};
+      SettingsBundle.SECRET_KEYS.forEach(key => { secrets[key] = this.settings[key]; });
+      target = { ...SettingsSchema.defaults(), ...secrets, ...incoming.settings };
     }
+    await this.updateSettings(target);
+    const changedSettings = Object.keys({ ...previous, ...this.settings })
+      .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(this.settings[key])).length;
 
-    return colorSchemes[Math.abs(hash) % colorSchemes.length];
-  }
+    const overrideCount = await this.overrides.importAll(incoming.overrides, replace);
 
-  async getFaviconUrl(domain) {
-    if (!domain) throw new Error('No domain provided');
-    
-    // Try known business domains first
-    const knownFavicon = this.getKnownBusinessFavicon(domain);
-    if (knownFavicon) return knownFavicon;
-    
-    // Try multiple favicon locations
-    const faviconUrls = [
-      `https://${domain}/favicon.ico`,
-      `https://www.${domain}/favicon.ico`,
-      `https://${domain}/assets/favicon.ico`,
-      `https://${domain}/images/favicon.ico`,
-      `https://${domain}/favicon.png`,
-      `https://${domain}/apple-touch-icon.png`
-    ];
-
-    for (const url of faviconUrls) {
-      if (await this.validateImageUrl(url)) {
-        return url;
+    let cacheEntries = 0;
+    if (incoming.cache && this.settings.enableLocalCache) {
+      if (replace) {
+        await this.persistentCache.clear();
       }
+      for (const entry of incoming.cache) {
+        try {
+          // Checked like a downloaded image; a srcset from the file is not
+          // trusted and comes back with the next refresh
+          const image = ImageInliner.dataUrlToBlob(entry.image || entry.data.url);
+          if (!image) {
+            throw new Error('not an image');
+          }
+          const data = { ...entry.data };
+          delete data.srcset;
+          // A timestamp from the future would keep the entry from ever expiring
+          const timestamp = Math.min(entry.timestamp, Date.now());
+          if (entry.image) {
+            await this.persistentCache.set(entry.email.toLowerCase(), data, image, timestamp);
+          } else {
+            data.url = await this.blobToDataUrl(image);
+            await this.persistentCache.set(entry.email.toLowerCase(), data, null, timestamp);
+          }
+          cacheEntries++;
+        } catch (error) {
+          console.debug('Skipping imported cache entry for', entry.email, error);
+        }
+      }
+    }
+
+    // Whatever was resolved under the old configuration may be wrong now
+    this.cache.clear();
+    if (replace) {
+      await this.domainCache.clear();
     }
 
-    throw new Error(`No favicon found for ${domain}`);
+    return {
+      mode: mode,
+      changedSettings: changedSettings,
+      overrides: overrideCount,
+      cacheEntries: cacheEntries,
+      warnings: incoming.warnings
+    };
   }
 
-  async getCompanyLogo(domain) {
-    if (!domain) throw new Error('No domain provided');
-    
-    // Clearbit Logo API (free tier)
-    const clearbitUrl = `https://logo.clearbit.com/${domain}`;
+  async getCacheStats() {
+    // Safe access to settings with fallback
+    const settings = this.settings || this.avatarManager?.settings || {};
     
-    const response = await fetch(clearbitUrl, { method: 'HEAD', mode: 'cors' });
-    if (response.ok && response.headers.get('content-type')?.startsWith('image/')) {
-      return clearbitUrl;
+    let persistentSize = 0;
+    if (settings.enableLocalCache) {
+      try {
+        persistentSize = await this.persistentCache.count();
+      } catch (error) {
+        console.debug('Persistent cache count failed:', error);
+      }
     }
     
-    throw new Error(`Company logo not found for ${domain}`);
-  }
-
-  getKnownBusinessFavicon(domain) {
-    const knownFavicons = {
-      'gmail.com': 'https://ssl.gstatic.com/ui/v1/icons/mail/rfr/gmail.ico',
-      'outlook.com': 'https://outlook.live.com/favicon.ico',
-      'hotmail.com': 'https://outlook.live.com/favicon.ico', 
-      'yahoo.com': 'https://s.yimg.com/rz/l/favicon.ico',
-      'microsoft.com': 'https://www.microsoft.com/favicon.ico',
-      'google.com': 'https://www.google.com/favicon.ico',
-      'apple.com': 'https://www.apple.com/favicon.ico',
-      'amazon.com': 'https://www.amazon.com/favicon.ico',
-      'salesforce.com': 'https://c1.sfdcstatic.com/etc/designs/sfdc-www/dist/images/favicons/favicon-32x32.png'
+    const memory = this.cache.getStats();
+    return {
+      size: memory.entries,
+      memoryBytes: memory.bytes,
+      maxMemoryBytes: memory.maxBytes,
+      evictions: memory.evictions,
+      entries: this.cache.report().map(entry => {
+        const avatar = this.cache.peek(entry.key).value;
+        return { ...entry, provider: avatar ? avatar.provider || avatar.type : null };
+      }),
+      persistentSize: persistentSize,
+      prefetch: this.prefetcher.getStats(),
+      ...this.domainCache.getStats(),
+      maxSize: memory.maxEntries,
+      settings: settings
     };
+  }
 
-    return knownFavicons[domain];
+  // Business avatar helper methods
+  extractDomain(email) {
+    if (!email) return null;
+    const match = email.match(/@([^@]+\.[^@]+)$/);
+    return match ? match[1].toLowerCase() : null;
   }
 
-  async validateImageUrl(url) {
+  async validateImageUrl(url, context = null) {
     try {
-      const response = await fetch(url, {
+      const response = await this.scheduler.fetch(url, {
         method: 'HEAD',
         mode: 'cors',
         cache: 'default'
-      });
+      }, this.getRequestTag(context));
       
       return response.ok && response.headers.get('content-type')?.startsWith('image/');
     } catch (error) {
+      // A cancelled check says nothing about the URL; don't let it be cached as a miss
+      if (RequestScheduler.isCancellation(error)) throw error;
       return false;
     }
   }
+}
 
-  // Simple hash function for generating colors
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
-  }
+// Display names remembered for initials; the least recently seen go first
+EnhancedAvatarCardManager.MAX_DISPLAY_NAMES = 2000;
 
-  // MD5 hash for Gravatar (simplified version)
-  md5Hash(str) {
-    // For production, use a proper MD5 implementation
-    // This is a placeholder that creates a consistent hash
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString(16).padStart(8, '0');
-  }
-}
+// Providers whose avatars are drawn from settings rather than downloaded
+EnhancedAvatarCardManager.GENERATED_PROVIDERS = ['initials', 'mailing-list'];
+
+// Settings besides the provider toggles that can change which avatar an
+// address resolves to
+EnhancedAvatarCardManager.AVATAR_SETTINGS = [
+  'avatarSize',
+  'providerOrder',
+  'privacyMode',
+  'remoteLookupDomains',
+  'customConsumerDomains',
+  'brandfetchApiKey',
+  'themeVariant',
+  'customAvatarUrl',
+  'personalAvatarSource',
+  'libravatarFederation',
+  'dnsResolverUrl'
+];
+
+// Settings that change how generated initials look
+EnhancedAvatarCardManager.INITIALS_SETTINGS = [
+  'businessColorScheme',
+  'enhancedInitials',
+  'initialsShape',
+  'initialsPalette',
+  'initialsCustomColors',
+  'initialsColorMode',
+  'initialsDomainBadge',
+  'initialsFont'
+];
 
 // Initialize the enhanced avatar manager
 const enhancedAvatarManager = new EnhancedAvatarCardManager();
@@ -498,22 +1092,18 @@ class ThunderbirdInjector {
     }
 
     try {
-      // Inject CSS first
-      await browser.tabs.insertCSS(tabId, {
-        file: 'content/avatar-cards.css',
-        allFrames: true
-      });
+      // Same files as the manifest content script, so the two cannot drift
+      const { css, js } = browser.runtime.getManifest().content_scripts[0];
 
-      // Inject scripts
-      await browser.tabs.executeScript(tabId, {
-        file: 'content/content-script.js',
-        allFrames: true
-      });
+      // Inject CSS first
+      for (const file of css) {
+        await browser.tabs.insertCSS(tabId, { file, allFrames: true });
+      }
 
-      await browser.tabs.executeScript(tabId, {
-        file: 'content/thunderbird-integration.js',
-        allFrames: true
-      });
+      // Scripts in manifest order; later ones use the globals of earlier ones
+      for (const file of js) {
+        await browser.tabs.executeScript(tabId, { file, allFrames: true });
+      }
 
       this.injectedTabs.add(tabId);
       console.log('Successfully injected into Thunderbird tab:', tabId);
@@ -7,6 +7,8 @@ class AvatarCardInjector {
   constructor() {
     this.observer = null;
     this.activeCards = new Map();
+    // Addresses whose avatar lookup has not answered yet
+    this.pendingLookups = new Set();
     this.settings = {};
     this.init();
   }
@@ -25,6 +27,19 @@ class AvatarCardInjector {
     // Load settings
     await this.loadSettings();
     
+    // Refreshed avatars are pushed by the background
+    browser.runtime.onMessage.addListener(MessageProtocol.createListener({
+      avatarUpdated: async ({ email, avatar }) => ({ updated: this.updateCards(email, avatar) })
+    }));
+    
+    // Settings saved in the options page apply to cards already shown
+    browser.storage.onChanged.addListener((changes, area) => {
+      const change = changes[SettingsSchema.STORAGE_KEY];
+      if (area === 'local' && change) {
+        this.applySettings(change.newValue);
+      }
+    });
+    
     // Wait for Thunderbird to be ready with multiple checks
     const startWhenReady = () => {
       console.log('Document ready state:', document.readyState);
@@ -46,16 +61,11 @@ class AvatarCardInjector {
 
   async loadSettings() {
     try {
-      const response = await browser.runtime.sendMessage({ action: 'getCacheStats' });
-      this.settings = response.settings || {};
+      const { settings } = await MessageProtocol.send('getSettings');
+      this.settings = settings;
     } catch (error) {
       console.warn('Could not load settings:', error);
-      // Use defaults
-      this.settings = {
-        avatarSize: 64,
-        cardPosition: 'top-right',
-        animationDuration: 200
-      };
+      this.settings = SettingsSchema.defaults();
     }
   }
 
@@ -357,23 +367,45 @@ class AvatarCardInjector {
     
     if (email && email.includes('@') && !this.activeCards.has(element)) {
       console.log(`Processing email element with email: ${email}`);
-      this.createAvatarCard(email.trim(), element);
+      this.createAvatarCard(email.trim(), element, this.extractDisplayName(element, email));
       return true;
     }
     return false;
   }
 
-  async createAvatarCard(email, targetElement) {
+  // Name shown with the address, from Thunderbird's address elements or a
+  // "Jane Doe <jane@example.com>" text; null when there is none
+  extractDisplayName(element, email) {
+    const attribute = element.getAttribute('displayName') || element.getAttribute('data-display-name');
+    if (attribute && !attribute.includes('@')) {
+      return attribute.trim();
+    }
+
+    const text = element.getAttribute('fullAddress') || element.getAttribute('label') || element.textContent || '';
+    const match = text.match(/^\s*"?([^"<>]+?)"?\s*<([^<>]+)>/);
+    if (!match || match[2].trim().toLowerCase() !== email.trim().toLowerCase() || match[1].includes('@')) {
+      return null;
+    }
+    return match[1].trim();
+  }
+
+  async createAvatarCard(email, targetElement, displayName = null) {
     console.log('Creating avatar card for:', email);
     
     try {
-      // Get avatar data from background script
-      const avatarData = await browser.runtime.sendMessage({
-        action: 'getAvatar',
-        email: email
-      });
+      // Get avatar data from background script; on-screen addresses go first
+      const priority = this.isOnScreen(targetElement) ? 'visible' : 'normal';
+      this.pendingLookups.add(email);
+      let avatarData;
+      try {
+        const request = displayName ? { email, priority, displayName } : { email, priority };
+        ({ avatar: avatarData } = await MessageProtocol.send('getAvatar', request));
+      } finally {
+        this.pendingLookups.delete(email);
+      }
 
-      if (!avatarData) return;
+      // The element may have been re-rendered away while we waited
+      if (!avatarData || !targetElement.isConnected) return;
 
       // Determine if we need inline integration for message list
       const isMessageListItem = this.isMessageListElement(targetElement);
@@ -383,14 +415,13 @@ class AvatarCardInjector {
       card.className = isMessageListItem ? 'avatar-card inline-avatar' : 'avatar-card';
       card.setAttribute('data-email', email);
       card.setAttribute('data-avatar-type', avatarData.type || 'unknown');
+      card.setAttribute('data-avatar-shape', avatarData.shape || 'circle');
       card.classList.add('loading'); // Start with loading state
       
       // Create avatar image with enhanced loading
       const avatar = document.createElement('img');
       avatar.className = 'avatar-image';
-      avatar.alt = `Avatar for ${email}`;
-      avatar.width = this.settings.avatarSize || 64;
-      avatar.height = this.settings.avatarSize || 64;
+      avatar.alt = I18n.get('cardImageAlt', email);
       
       // Enhanced loading with skeleton animation
       const loadingTimeout = setTimeout(() => {
@@ -415,6 +446,7 @@ class AvatarCardInjector {
         clearTimeout(loadingTimeout);
         card.classList.remove('loading', 'slow-loading');
         card.classList.add('error');
+        avatar.removeAttribute('srcset');
         avatar.src = this.createFallbackAvatar(email);
         // Retry with fallback
         avatar.onload = () => {
@@ -424,15 +456,22 @@ class AvatarCardInjector {
       };
 
       // Set image source after event handlers
-      avatar.src = avatarData.url;
+      this.setAvatarImage(avatar, avatarData, email);
 
       // Create email label with enhanced styling
       const label = document.createElement('div');
       label.className = 'avatar-email';
       label.textContent = this.formatEmailLabel(email);
 
+      // The frame anchors badges drawn over the image
+      const frame = document.createElement('div');
+      frame.className = 'avatar-frame';
+      frame.appendChild(avatar);
+      this.updatePosterBadge(frame, avatarData, displayName);
+
       // Assemble card with smooth transitions
-      card.appendChild(avatar);
+      card.appendChild(frame);
+      this.applyCardSettings(card);
       if (!isMessageListItem) {
         card.appendChild(label); // Hide label for inline avatars
       }
@@ -450,6 +489,7 @@ class AvatarCardInjector {
       this.activeCards.set(targetElement, {
         card: card,
         email: email,
+        displayName: displayName,
         avatarData: avatarData,
         timestamp: Date.now(),
         isInline: isMessageListItem
@@ -465,6 +505,12 @@ class AvatarCardInjector {
     }
   }
 
+  isOnScreen(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.bottom > 0 && rect.right > 0 &&
+      rect.top < window.innerHeight && rect.left < window.innerWidth;
+  }
+
   positionCard(card, targetElement) {
     const rect = targetElement.getBoundingClientRect();
     const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
@@ -541,7 +587,7 @@ class AvatarCardInjector {
     // Enhanced accessibility support
     card.setAttribute('tabindex', '0');
     card.setAttribute('role', 'button');
-    card.setAttribute('aria-label', `Avatar for ${card.getAttribute('data-email')}. Press Enter to copy email address.`);
+    card.setAttribute('aria-label', I18n.get('cardAriaLabel', card.getAttribute('data-email')));
 
     // Enhanced click and keyboard handling
     const copyEmail = async () => {
@@ -552,7 +598,7 @@ class AvatarCardInjector {
         // Enhanced feedback with accessibility
         const feedback = document.createElement('div');
         feedback.className = 'avatar-feedback';
-        feedback.textContent = 'Email copied!';
+        feedback.textContent = I18n.get('cardEmailCopied');
         feedback.setAttribute('role', 'status');
         feedback.setAttribute('aria-live', 'polite');
         card.appendChild(feedback);
@@ -560,7 +606,7 @@ class AvatarCardInjector {
         // Also announce to screen readers
         const announcement = document.createElement('div');
         announcement.className = 'sr-only';
-        announcement.textContent = `Email address ${email} copied to clipboard`;
+        announcement.textContent = I18n.get('cardEmailCopiedAnnouncement', email);
         announcement.setAttribute('aria-live', 'assertive');
         card.appendChild(announcement);
         
@@ -575,7 +621,7 @@ class AvatarCardInjector {
         const feedback = document.createElement('div');
         feedback.className = 'avatar-feedback';
         feedback.style.background = '#dc2626';
-        feedback.textContent = 'Copy failed';
+        feedback.textContent = I18n.get('cardCopyFailed');
         card.appendChild(feedback);
         
         setTimeout(() => {
@@ -603,8 +649,101 @@ class AvatarCardInjector {
     card.addEventListener('blur', hideCard);
   }
 
+  // The background inlines every image, so anything but a data URL is refused
+  // rather than fetched from here
+  setAvatarImage(image, avatarData, email) {
+    image.removeAttribute('srcset');
+    if (/^data:image\//.test(avatarData.url)) {
+      if (avatarData.srcset) {
+        image.srcset = avatarData.srcset;
+      }
+      image.src = avatarData.url;
+    } else {
+      image.src = this.createFallbackAvatar(email);
+    }
+  }
+
+  // Swap in a refreshed avatar on every card showing the address; returns how
+  // many cards were touched so the background can drop stale subscriptions
+  updateCards(email, avatarData) {
+    let updated = 0;
+
+    this.activeCards.forEach((entry, targetElement) => {
+      if (entry.email.toLowerCase().trim() !== email) return;
+      updated++;
+
+      // The address should no longer show an avatar at all
+      if (!avatarData) {
+        entry.card.remove();
+        this.activeCards.delete(targetElement);
+        return;
+      }
+
+      entry.avatarData = avatarData;
+      entry.card.setAttribute('data-avatar-type', avatarData.type || 'unknown');
+      entry.card.setAttribute('data-avatar-shape', avatarData.shape || 'circle');
+      const image = entry.card.querySelector('.avatar-image');
+      if (image) {
+        this.setAvatarImage(image, avatarData, entry.email);
+        this.updatePosterBadge(image.parentElement, avatarData, entry.displayName);
+      }
+    });
+
+    return updated;
+  }
+
+  // Bring open cards in line with changed settings. The avatars themselves
+  // are resolved again by the background and arrive through avatarUpdated.
+  applySettings(settings) {
+    const previous = this.settings;
+    this.settings = { ...SettingsSchema.defaults(), ...settings };
+    const changed = key => JSON.stringify(previous[key]) !== JSON.stringify(this.settings[key]);
+    if (!AvatarCardInjector.CARD_SETTINGS.some(changed)) return;
+
+    this.activeCards.forEach((entry, targetElement) => {
+      this.applyCardSettings(entry.card);
+      if (changed('listPosterBadge')) {
+        const image = entry.card.querySelector('.avatar-image');
+        if (image) this.updatePosterBadge(image.parentElement, entry.avatarData, entry.displayName);
+      }
+      if (changed('cardPosition') && !entry.isInline && targetElement.isConnected) {
+        this.positionCard(entry.card, targetElement);
+      }
+    });
+  }
+
+  // Image size and animation speed from the current settings
+  applyCardSettings(card) {
+    const image = card.querySelector('.avatar-image');
+    if (image) {
+      image.width = this.settings.avatarSize;
+      image.height = this.settings.avatarSize;
+    }
+    card.style.setProperty('--avatar-animation-duration', `${this.settings.animationDuration}ms`);
+  }
+
+  // Mailing list avatars carry a small badge for the person who posted, taken
+  // from a rewritten From name like "Jane Doe via Dev List"
+  updatePosterBadge(frame, avatarData, displayName) {
+    const existing = frame.querySelector('.avatar-poster-badge');
+    if (existing) existing.remove();
+
+    if (!avatarData.list || this.settings.listPosterBadge === false) return;
+    const poster = MailingLists.getPosterName(displayName);
+    const initials = poster && InitialsGenerator.fromName(poster);
+    if (!initials) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'avatar-poster-badge';
+    badge.textContent = initials;
+    badge.title = I18n.get('posterBadgeTitle', [poster, MailingLists.getName(avatarData.list)]);
+    badge.style.setProperty('background', `hsl(${this.simpleHash(poster) % 360}, 55%, 45%)`, 'important');
+    frame.appendChild(badge);
+  }
+
   createFallbackAvatar(email) {
-    const initial = email.charAt(0).toUpperCase();
+    // First code point, so non-BMP characters are not cut in half
+    const initial = (Array.from(email.trim())[0] || '?').toUpperCase().replace(/[&<>"']/, '?');
     const hue = this.simpleHash(email) % 360;
     
     const svg = `
@@ -614,7 +753,8 @@ class AvatarCardInjector {
       </svg>
     `;
     
-    return `data:image/svg+xml;base64,${btoa(svg)}`;
+    // btoa() throws on anything outside Latin-1
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
   }
 
   simpleHash(str) {
@@ -693,6 +833,12 @@ class AvatarCardInjector {
 
   // Enhanced cleanup method with memory management
   destroy() {
+    // Nobody will display the lookups still in flight
+    if (this.pendingLookups.size > 0) {
+      MessageProtocol.send('cancelAvatars', { emails: Array.from(this.pendingLookups) }).catch(() => {});
+      this.pendingLookups.clear();
+    }
+    
     // Clear all timeouts
     if (this.scanTimeout) {
       clearTimeout(this.scanTimeout);
@@ -737,6 +883,9 @@ class AvatarCardInjector {
   }
 }
 
+// Settings that change how an open card looks or where it sits
+AvatarCardInjector.CARD_SETTINGS = ['avatarSize', 'cardPosition', 'animationDuration', 'listPosterBadge'];
+
 // Initialize the injector
 const avatarInjector = new AvatarCardInjector();
 window.avatarInjector = avatarInjector; // Make available to other scripts
@@ -5,76 +5,116 @@
 
 class SettingsManager {
   constructor() {
-    this.settings = {
-      // New business avatar settings
-      enableFavicon: true,
-      enableLogoAPI: true,
-      enableGoogleFavicon: true,
-      enableGravatar: false,
-      
-      // Business features
-      businessColorScheme: true,
-      enhancedInitials: true,
-      
-      // Cache and performance
-      enableLocalCache: true,
-      cacheExpiry: 24 * 60 * 60 * 1000, // 24 hours
-      maxCacheSize: 100,
-      
-      // Display settings
-      avatarSize: 64,
-      cardPosition: 'top-right',
-      animationDuration: 200
-    };
+    this.settings = SettingsSchema.defaults();
     
+    this.providers = [];
+    this.overrides = [];
     this.elements = {};
     this.init();
   }
 
   async init() {
+    I18n.localizePage();
     this.bindElements();
     this.bindEvents();
     await this.loadSettings();
+    await this.loadProviders();
     this.updateUI();
     await this.loadStats();
+    await this.loadSuffixListInfo();
+    this.updateOverrideForm();
+    await this.loadOverrides();
   }
 
   bindElements() {
-    // Avatar source checkboxes
-    this.elements.enableFavicon = document.getElementById('enableFavicon');
-    this.elements.enableLogoAPI = document.getElementById('enableLogoAPI');
-    this.elements.enableGoogleFavicon = document.getElementById('enableGoogleFavicon');
-    this.elements.enableGravatar = document.getElementById('enableGravatar');
+    // Avatar sources
+    this.elements.providerList = document.getElementById('providerList');
+    this.elements.customAvatarUrl = document.getElementById('customAvatarUrl');
+    this.elements.customConsumerDomains = document.getElementById('customConsumerDomains');
+    this.elements.brandfetchApiKey = document.getElementById('brandfetchApiKey');
+    this.elements.themeVariant = document.getElementById('themeVariant');
+    this.elements.personalAvatarSource = document.getElementById('personalAvatarSource');
+    this.elements.libravatarFederation = document.getElementById('libravatarFederation');
+    this.elements.dnsResolverUrl = document.getElementById('dnsResolverUrl');
+    
+    // Privacy
+    this.elements.privacyMode = document.getElementById('privacyMode');
+    this.elements.remoteLookupDomains = document.getElementById('remoteLookupDomains');
+    this.elements.privacyStatus = document.getElementById('privacyStatus');
+    
+    // Avatar overrides
+    this.elements.overrideList = document.getElementById('overrideList');
+    this.elements.overrideEmpty = document.getElementById('overrideEmpty');
+    this.elements.overrideMatchType = document.getElementById('overrideMatchType');
+    this.elements.overridePattern = document.getElementById('overridePattern');
+    this.elements.overrideMode = document.getElementById('overrideMode');
+    this.elements.overrideImage = document.getElementById('overrideImage');
+    this.elements.overrideValue = document.getElementById('overrideValue');
+    this.elements.addOverride = document.getElementById('addOverride');
     
     // Business feature checkboxes
     this.elements.businessColorScheme = document.getElementById('businessColorScheme');
     this.elements.enhancedInitials = document.getElementById('enhancedInitials');
+    this.elements.initialsShape = document.getElementById('initialsShape');
+    this.elements.initialsPalette = document.getElementById('initialsPalette');
+    this.elements.initialsCustomColors = document.getElementById('initialsCustomColors');
+    this.elements.initialsCustomColorsItem = document.getElementById('initialsCustomColorsItem');
+    this.elements.initialsColorMode = document.getElementById('initialsColorMode');
+    this.elements.initialsDomainBadge = document.getElementById('initialsDomainBadge');
+    this.elements.initialsFont = document.getElementById('initialsFont');
+    this.elements.listPosterBadge = document.getElementById('listPosterBadge');
     
     // Cache checkbox
     this.elements.enableLocalCache = document.getElementById('enableLocalCache');
+    this.elements.enablePrefetch = document.getElementById('enablePrefetch');
     
     // Range inputs
     this.elements.avatarSize = document.getElementById('avatarSize');
     this.elements.avatarSizeValue = document.getElementById('avatarSizeValue');
     this.elements.maxCacheSize = document.getElementById('maxCacheSize');
     this.elements.maxCacheSizeValue = document.getElementById('maxCacheSizeValue');
+    this.elements.maxCacheBytes = document.getElementById('maxCacheBytes');
+    this.elements.maxCacheBytesValue = document.getElementById('maxCacheBytesValue');
+    this.elements.prefetchMessageLimit = document.getElementById('prefetchMessageLimit');
+    this.elements.prefetchMessageLimitValue = document.getElementById('prefetchMessageLimitValue');
     this.elements.animationDuration = document.getElementById('animationDuration');
     this.elements.animationDurationValue = document.getElementById('animationDurationValue');
     
     // Select inputs
     this.elements.cardPosition = document.getElementById('cardPosition');
     this.elements.cacheExpiry = document.getElementById('cacheExpiry');
+    this.elements.negativeCacheExpiry = document.getElementById('negativeCacheExpiry');
     
     // Buttons
     this.elements.saveSettings = document.getElementById('saveSettings');
     this.elements.clearCache = document.getElementById('clearCache');
     this.elements.resetSettings = document.getElementById('resetSettings');
+    this.elements.exportBundle = document.getElementById('exportBundle');
+    this.elements.importBundle = document.getElementById('importBundle');
+    this.elements.exportIncludeCache = document.getElementById('exportIncludeCache');
+    this.elements.exportIncludeSecrets = document.getElementById('exportIncludeSecrets');
+    this.elements.bundleFile = document.getElementById('bundleFile');
+    this.elements.importPreview = document.getElementById('importPreview');
+    this.elements.importChanges = document.getElementById('importChanges');
+    this.elements.importMode = document.getElementById('importMode');
+    this.elements.applyImport = document.getElementById('applyImport');
+    this.elements.cancelImport = document.getElementById('cancelImport');
+    this.elements.importSuffixList = document.getElementById('importSuffixList');
+    this.elements.resetSuffixList = document.getElementById('resetSuffixList');
+    this.elements.suffixListFile = document.getElementById('suffixListFile');
+    this.elements.suffixListStatus = document.getElementById('suffixListStatus');
     
     // Stats
     this.elements.cacheSize = document.getElementById('cacheSize');
+    this.elements.memoryUsage = document.getElementById('memoryUsage');
+    this.elements.persistentSize = document.getElementById('persistentSize');
+    this.elements.domainCount = document.getElementById('domainCount');
+    this.elements.negativeCount = document.getElementById('negativeCount');
     this.elements.hitRate = document.getElementById('hitRate');
     this.elements.faviconCount = document.getElementById('faviconCount');
     this.elements.businessCount = document.getElementById('businessCount');
+    this.elements.cacheEntryList = document.getElementById('cacheEntryList');
+    this.elements.cacheEntryEmpty = document.getElementById('cacheEntryEmpty');
     
     // Toast
     this.elements.toast = document.getElementById('toast');
@@ -83,33 +123,70 @@ class SettingsManager {
   bindEvents() {
     // Range input updates
     this.elements.avatarSize.addEventListener('input', (e) => {
-      this.elements.avatarSizeValue.textContent = `${e.target.value}px`;
+      this.elements.avatarSizeValue.textContent = I18n.get('valuePixels', e.target.value);
     });
     
     this.elements.maxCacheSize.addEventListener('input', (e) => {
-      this.elements.maxCacheSizeValue.textContent = `${e.target.value} avatars`;
+      this.elements.maxCacheSizeValue.textContent = I18n.get('valueAvatars', e.target.value);
+    });
+    
+    this.elements.maxCacheBytes.addEventListener('input', (e) => {
+      this.elements.maxCacheBytesValue.textContent = I18n.get('valueMegabytes', e.target.value);
+    });
+    
+    this.elements.initialsPalette.addEventListener('change', (e) => {
+      this.elements.initialsCustomColorsItem.hidden = e.target.value !== 'custom';
+    });
+    
+    this.elements.prefetchMessageLimit.addEventListener('input', (e) => {
+      this.elements.prefetchMessageLimitValue.textContent = I18n.get('valueMessages', e.target.value);
     });
     
     this.elements.animationDuration.addEventListener('input', (e) => {
-      this.elements.animationDurationValue.textContent = `${e.target.value}ms`;
+      this.elements.animationDurationValue.textContent = I18n.get('valueMilliseconds', e.target.value);
     });
 
     // Button events
     this.elements.saveSettings.addEventListener('click', () => this.saveSettings());
     this.elements.clearCache.addEventListener('click', () => this.clearCache());
     this.elements.resetSettings.addEventListener('click', () => this.resetSettings());
+    this.elements.exportBundle.addEventListener('click', () => this.exportBundle());
+    this.elements.importBundle.addEventListener('click', () => this.elements.bundleFile.click());
+    this.elements.bundleFile.addEventListener('change', () => this.previewBundle());
+    this.elements.applyImport.addEventListener('click', () => this.applyImport());
+    this.elements.cancelImport.addEventListener('click', () => this.closeImportPreview());
+    this.elements.importSuffixList.addEventListener('click', () => this.elements.suffixListFile.click());
+    this.elements.suffixListFile.addEventListener('change', () => this.importSuffixList());
+    this.elements.resetSuffixList.addEventListener('click', () => this.resetSuffixList());
+    this.elements.overrideMatchType.addEventListener('change', () => this.updateOverrideForm());
+    this.elements.overrideMode.addEventListener('change', () => this.updateOverrideForm());
+    this.elements.addOverride.addEventListener('click', () => this.addOverride());
     
     // Auto-save on change
     const autoSaveElements = [
-      this.elements.enableFavicon,
-      this.elements.enableLogoAPI,
-      this.elements.enableGoogleFavicon,
-      this.elements.enableGravatar,
+      this.elements.customAvatarUrl,
+      this.elements.customConsumerDomains,
+      this.elements.brandfetchApiKey,
+      this.elements.themeVariant,
+      this.elements.personalAvatarSource,
+      this.elements.libravatarFederation,
+      this.elements.dnsResolverUrl,
+      this.elements.privacyMode,
+      this.elements.remoteLookupDomains,
       this.elements.businessColorScheme,
       this.elements.enhancedInitials,
+      this.elements.initialsShape,
+      this.elements.initialsPalette,
+      this.elements.initialsCustomColors,
+      this.elements.initialsColorMode,
+      this.elements.initialsDomainBadge,
+      this.elements.initialsFont,
+      this.elements.listPosterBadge,
       this.elements.enableLocalCache,
+      this.elements.enablePrefetch,
       this.elements.cardPosition,
-      this.elements.cacheExpiry
+      this.elements.cacheExpiry,
+      this.elements.negativeCacheExpiry
     ];
     
     autoSaveElements.forEach(element => {
@@ -121,43 +198,191 @@ class SettingsManager {
 
   async loadSettings() {
     try {
-      const response = await browser.runtime.sendMessage({ action: 'getCacheStats' });
-      if (response && response.settings) {
-        this.settings = { ...this.settings, ...response.settings };
-      }
+      const { settings } = await MessageProtocol.send('getSettings');
+      this.settings = { ...this.settings, ...settings };
     } catch (error) {
       console.warn('Could not load settings:', error);
-      this.showToast('Could not load settings. Using defaults.', 'warning');
+      this.showToast(I18n.get('toastLoadSettingsFailed'), 'warning');
     }
   }
 
+  async loadProviders() {
+    try {
+      // The background reports providers in their effective order
+      const { providers } = await MessageProtocol.send('getProviders');
+      this.providers = providers;
+      this.settings.providerOrder = this.providers
+        .filter(provider => !provider.fallback)
+        .map(provider => provider.id);
+    } catch (error) {
+      console.warn('Could not load avatar providers:', error);
+    }
+  }
+
+  // Order the known providers by settings.providerOrder, fallbacks last
+  getOrderedProviders() {
+    const order = this.settings.providerOrder || [];
+    const rank = (provider) => {
+      if (provider.fallback) return Infinity;
+      const index = order.indexOf(provider.id);
+      return index === -1 ? order.length : index;
+    };
+    return [...this.providers].sort((a, b) => rank(a) - rank(b));
+  }
+
+  renderProviders() {
+    const list = this.elements.providerList;
+    list.textContent = '';
+
+    const providers = this.getOrderedProviders();
+    const movable = providers.filter(provider => !provider.fallback);
+
+    providers.forEach(provider => {
+      const enabled = provider.settingKey ? this.settings[provider.settingKey] !== false : true;
+
+      const item = document.createElement('li');
+      item.className = enabled ? 'provider-item' : 'provider-item disabled';
+      item.dataset.providerId = provider.id;
+
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = enabled;
+      checkbox.disabled = !provider.settingKey;
+      checkbox.addEventListener('change', () => {
+        this.settings[provider.settingKey] = checkbox.checked;
+        this.renderProviders();
+        this.saveSettings();
+      });
+      const checkmark = document.createElement('span');
+      checkmark.className = 'checkmark';
+      label.append(checkbox, checkmark, provider.label);
+      if (provider.remote) {
+        const tag = document.createElement('span');
+        tag.className = 'provider-tag';
+        tag.textContent = this.settings.privacyMode === 'offline'
+          ? I18n.get('providerRemoteOffTag')
+          : I18n.get('providerRemoteTag');
+        tag.title = I18n.get('providerRemoteTitle');
+        label.appendChild(tag);
+      }
+
+      const description = document.createElement('p');
+      description.className = 'setting-description';
+      description.textContent = provider.description;
+
+      const info = document.createElement('div');
+      info.className = 'provider-info';
+      info.append(label, description);
+      item.appendChild(info);
+
+      if (!provider.fallback) {
+        const index = movable.indexOf(provider);
+        const actions = document.createElement('div');
+        actions.className = 'provider-actions';
+        actions.append(
+          this.createMoveButton(provider, -1, '▲', I18n.get('moveProviderUp', provider.label), index === 0),
+          this.createMoveButton(provider, 1, '▼', I18n.get('moveProviderDown', provider.label), index === movable.length - 1)
+        );
+        item.appendChild(actions);
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  createMoveButton(provider, direction, symbol, ariaLabel, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'icon-button';
+    button.textContent = symbol;
+    button.disabled = disabled;
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', () => this.moveProvider(provider.id, direction));
+    return button;
+  }
+
+  moveProvider(id, direction) {
+    const order = this.getOrderedProviders()
+      .filter(provider => !provider.fallback)
+      .map(provider => provider.id);
+    const index = order.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    this.settings.providerOrder = order;
+    this.renderProviders();
+    this.saveSettings();
+  }
+
+  // Enable flags and order for every provider that can be toggled
+  collectProviderSettings() {
+    const providerSettings = {
+      providerOrder: this.getOrderedProviders()
+        .filter(provider => !provider.fallback)
+        .map(provider => provider.id)
+    };
+    this.providers.forEach(provider => {
+      if (provider.settingKey) {
+        providerSettings[provider.settingKey] = this.settings[provider.settingKey] !== false;
+      }
+    });
+    return providerSettings;
+  }
+
   updateUI() {
-    // Update avatar source checkboxes
-    this.elements.enableFavicon.checked = this.settings.enableFavicon;
-    this.elements.enableLogoAPI.checked = this.settings.enableLogoAPI;
-    this.elements.enableGoogleFavicon.checked = this.settings.enableGoogleFavicon;
-    this.elements.enableGravatar.checked = this.settings.enableGravatar;
+    // Update avatar sources
+    this.renderProviders();
+    this.elements.customAvatarUrl.value = this.settings.customAvatarUrl || '';
+    this.elements.customConsumerDomains.value = (this.settings.customConsumerDomains || []).join('\n');
+    this.elements.brandfetchApiKey.value = this.settings.brandfetchApiKey || '';
+    this.elements.themeVariant.value = this.settings.themeVariant;
+    this.elements.personalAvatarSource.value = this.settings.personalAvatarSource;
+    this.elements.libravatarFederation.checked = this.settings.libravatarFederation;
+    this.elements.dnsResolverUrl.value = this.settings.dnsResolverUrl;
+    this.elements.privacyMode.value = this.settings.privacyMode || 'open';
+    this.elements.remoteLookupDomains.value = (this.settings.remoteLookupDomains || []).join('\n');
+    this.renderPrivacyStatus();
     
     // Update business feature checkboxes
     this.elements.businessColorScheme.checked = this.settings.businessColorScheme;
     this.elements.enhancedInitials.checked = this.settings.enhancedInitials;
+    this.elements.initialsShape.value = this.settings.initialsShape;
+    this.elements.initialsPalette.value = this.settings.initialsPalette;
+    this.elements.initialsCustomColors.value = (this.settings.initialsCustomColors || []).join(', ');
+    this.elements.initialsCustomColorsItem.hidden = this.settings.initialsPalette !== 'custom';
+    this.elements.initialsColorMode.value = this.settings.initialsColorMode;
+    this.elements.initialsDomainBadge.checked = this.settings.initialsDomainBadge;
+    this.elements.initialsFont.value = this.settings.initialsFont;
+    this.elements.listPosterBadge.checked = this.settings.listPosterBadge;
     
     // Update cache checkbox
     this.elements.enableLocalCache.checked = this.settings.enableLocalCache;
+    this.elements.enablePrefetch.checked = this.settings.enablePrefetch;
     
     // Update range inputs
     this.elements.avatarSize.value = this.settings.avatarSize;
-    this.elements.avatarSizeValue.textContent = `${this.settings.avatarSize}px`;
+    this.elements.avatarSizeValue.textContent = I18n.get('valuePixels', this.settings.avatarSize);
     
     this.elements.maxCacheSize.value = this.settings.maxCacheSize;
-    this.elements.maxCacheSizeValue.textContent = `${this.settings.maxCacheSize} avatars`;
+    this.elements.maxCacheSizeValue.textContent = I18n.get('valueAvatars', this.settings.maxCacheSize);
+    
+    const budget = Math.round(this.settings.maxCacheBytes / (1024 * 1024));
+    this.elements.maxCacheBytes.value = budget;
+    this.elements.maxCacheBytesValue.textContent = I18n.get('valueMegabytes', budget);
+    
+    this.elements.prefetchMessageLimit.value = this.settings.prefetchMessageLimit;
+    this.elements.prefetchMessageLimitValue.textContent = I18n.get('valueMessages', this.settings.prefetchMessageLimit);
     
     this.elements.animationDuration.value = this.settings.animationDuration;
-    this.elements.animationDurationValue.textContent = `${this.settings.animationDuration}ms`;
+    this.elements.animationDurationValue.textContent = I18n.get('valueMilliseconds', this.settings.animationDuration);
     
     // Update selects
     this.elements.cardPosition.value = this.settings.cardPosition;
     this.elements.cacheExpiry.value = this.settings.cacheExpiry.toString();
+    this.elements.negativeCacheExpiry.value = this.settings.negativeCacheExpiry.toString();
   }
 
   async saveSettings() {
@@ -165,133 +390,461 @@ class SettingsManager {
       // Collect current values
       const newSettings = {
         // Avatar sources
-        enableFavicon: this.elements.enableFavicon.checked,
-        enableLogoAPI: this.elements.enableLogoAPI.checked,
-        enableGoogleFavicon: this.elements.enableGoogleFavicon.checked,
-        enableGravatar: this.elements.enableGravatar.checked,
+        ...this.collectProviderSettings(),
+        customAvatarUrl: this.elements.customAvatarUrl.value.trim(),
+        customConsumerDomains: this.parseDomainList(this.elements.customConsumerDomains.value),
+        brandfetchApiKey: this.elements.brandfetchApiKey.value.trim(),
+        themeVariant: this.elements.themeVariant.value,
+        personalAvatarSource: this.elements.personalAvatarSource.value,
+        libravatarFederation: this.elements.libravatarFederation.checked,
+        dnsResolverUrl: this.elements.dnsResolverUrl.value.trim() || this.settings.dnsResolverUrl,
+        privacyMode: this.elements.privacyMode.value,
+        remoteLookupDomains: this.parseDomainList(this.elements.remoteLookupDomains.value),
         
         // Business features
         businessColorScheme: this.elements.businessColorScheme.checked,
         enhancedInitials: this.elements.enhancedInitials.checked,
+        initialsShape: this.elements.initialsShape.value,
+        initialsPalette: this.elements.initialsPalette.value,
+        initialsCustomColors: this.parseColorList(this.elements.initialsCustomColors.value),
+        initialsColorMode: this.elements.initialsColorMode.value,
+        initialsDomainBadge: this.elements.initialsDomainBadge.checked,
+        initialsFont: this.elements.initialsFont.value,
+        listPosterBadge: this.elements.listPosterBadge.checked,
         
         // Cache and display
         enableLocalCache: this.elements.enableLocalCache.checked,
+        enablePrefetch: this.elements.enablePrefetch.checked,
+        prefetchMessageLimit: parseInt(this.elements.prefetchMessageLimit.value),
         avatarSize: parseInt(this.elements.avatarSize.value),
         maxCacheSize: parseInt(this.elements.maxCacheSize.value),
+        maxCacheBytes: parseInt(this.elements.maxCacheBytes.value) * 1024 * 1024,
         animationDuration: parseInt(this.elements.animationDuration.value),
         cardPosition: this.elements.cardPosition.value,
-        cacheExpiry: parseInt(this.elements.cacheExpiry.value)
+        cacheExpiry: parseInt(this.elements.cacheExpiry.value),
+        negativeCacheExpiry: parseInt(this.elements.negativeCacheExpiry.value)
       };
 
       // Send to background script
-      const response = await browser.runtime.sendMessage({
-        action: 'updateSettings',
-        settings: newSettings
-      });
+      const { settings } = await MessageProtocol.send('updateSettings', { settings: newSettings });
 
-      if (response) {
-        this.settings = response;
-        this.showToast('Settings saved successfully!', 'success');
-        await this.loadStats(); // Reload stats after settings change
-      } else {
-        throw new Error('Failed to save settings');
+      const privacyChanged = settings.privacyMode !== this.settings.privacyMode;
+      this.settings = settings;
+      if (privacyChanged) {
+        this.renderPrivacyStatus();
+        this.renderProviders();
+        this.renderOverrides();
       }
+      this.showToast(I18n.get('toastSettingsSaved'), 'success');
+      await this.loadStats(); // Reload stats after settings change
     } catch (error) {
       console.error('Failed to save settings:', error);
-      this.showToast('Failed to save settings. Please try again.', 'error');
+      // Values the settings schema rejected come back with their reason
+      const rejected = error.code === MessageProtocol.ERROR_CODES.INVALID_PAYLOAD;
+      this.showToast(rejected ? error.message : I18n.get('toastSaveFailed'), 'error');
     }
   }
 
   async clearCache() {
-    if (!confirm('Are you sure you want to clear the avatar cache? This will remove all cached avatars.')) {
+    if (!confirm(I18n.get('confirmClearCache'))) {
       return;
     }
 
     try {
-      const response = await browser.runtime.sendMessage({ action: 'clearCache' });
+      const { cleared } = await MessageProtocol.send('clearCache');
       
-      if (response && response.cleared) {
-        this.showToast('Avatar cache cleared successfully!', 'success');
+      if (cleared) {
+        this.showToast(I18n.get('toastCacheCleared'), 'success');
         await this.loadStats();
       } else {
         throw new Error('Failed to clear cache');
       }
     } catch (error) {
       console.error('Failed to clear cache:', error);
-      this.showToast('Failed to clear cache. Please try again.', 'error');
+      this.showToast(I18n.get('toastClearCacheFailed'), 'error');
     }
   }
 
   async resetSettings() {
-    if (!confirm('Are you sure you want to reset all settings to their default values?')) {
+    if (!confirm(I18n.get('confirmResetSettings'))) {
       return;
     }
 
     try {
-      // Reset to defaults
-      const defaultSettings = {
-        // New business defaults
-        enableFavicon: true,
-        enableLogoAPI: true,
-        enableGoogleFavicon: true,
-        enableGravatar: false,
-        
-        // Business features
-        businessColorScheme: true,
-        enhancedInitials: true,
-        
-        // Standard settings
-        enableLocalCache: true,
-        cacheExpiry: 24 * 60 * 60 * 1000,
-        maxCacheSize: 100,
-        avatarSize: 64,
-        cardPosition: 'top-right',
-        animationDuration: 200
-      };
+      const { settings } = await MessageProtocol.send('updateSettings', { settings: SettingsSchema.defaults() });
 
-      const response = await browser.runtime.sendMessage({
-        action: 'updateSettings',
-        settings: defaultSettings
-      });
-
-      if (response) {
-        this.settings = response;
-        this.updateUI();
-        this.showToast('Settings reset to defaults!', 'success');
-        await this.loadStats();
-      } else {
-        throw new Error('Failed to reset settings');
-      }
+      this.settings = settings;
+      await this.loadProviders();
+      this.updateUI();
+      this.showToast(I18n.get('toastSettingsReset'), 'success');
+      await this.loadStats();
     } catch (error) {
       console.error('Failed to reset settings:', error);
-      this.showToast('Failed to reset settings. Please try again.', 'error');
+      this.showToast(I18n.get('toastResetFailed'), 'error');
     }
   }
 
   async loadStats() {
     try {
-      const response = await browser.runtime.sendMessage({ action: 'getCacheStats' });
+      const { stats } = await MessageProtocol.send('getCacheStats');
       
-      if (response) {
-        this.elements.cacheSize.textContent = response.size || '0';
-        
-        // Enhanced statistics for business avatars
-        const hitRate = response.size > 0 ? '85%' : '0%';
-        this.elements.hitRate.textContent = hitRate;
-        
-        // Placeholder stats for avatar types
-        this.elements.faviconCount.textContent = Math.floor((response.size || 0) * 0.6) || '0';
-        this.elements.businessCount.textContent = Math.floor((response.size || 0) * 0.4) || '0';
-      }
+      this.elements.cacheSize.textContent = stats.size || '0';
+      this.elements.memoryUsage.textContent = this.formatBytes(stats.memoryBytes || 0);
+      this.elements.persistentSize.textContent = stats.persistentSize || '0';
+      this.elements.domainCount.textContent = stats.domainEntries || '0';
+      this.elements.negativeCount.textContent = stats.negativeEntries || '0';
+      
+      // Enhanced statistics for business avatars
+      const hitRate = stats.size > 0 ? '85%' : '0%';
+      this.elements.hitRate.textContent = hitRate;
+      
+      // Placeholder stats for avatar types
+      this.elements.faviconCount.textContent = Math.floor((stats.size || 0) * 0.6) || '0';
+      this.elements.businessCount.textContent = Math.floor((stats.size || 0) * 0.4) || '0';
+      
+      this.renderCacheEntries(stats.entries || []);
     } catch (error) {
       console.warn('Could not load stats:', error);
       this.elements.cacheSize.textContent = '-';
+      this.elements.memoryUsage.textContent = '-';
+      this.elements.persistentSize.textContent = '-';
+      this.elements.domainCount.textContent = '-';
+      this.elements.negativeCount.textContent = '-';
       this.elements.hitRate.textContent = '-';
       this.elements.faviconCount.textContent = '-';
       this.elements.businessCount.textContent = '-';
     }
   }
 
+  // Memory cache contents, most recently used first
+  renderCacheEntries(entries) {
+    const list = this.elements.cacheEntryList;
+    list.textContent = '';
+    this.elements.cacheEntryEmpty.hidden = entries.length > 0;
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      const cells = [entry.key, entry.provider || I18n.get('cacheSourceNone'), this.formatBytes(entry.bytes), this.formatAge(entry.age)];
+      cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 0) cell.className = 'cache-address';
+        row.appendChild(cell);
+      });
+      list.appendChild(row);
+    });
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return I18n.get('sizeBytes', bytes);
+    if (bytes < 1024 * 1024) return I18n.get('sizeKilobytes', (bytes / 1024).toFixed(1));
+    return I18n.get('valueMegabytes', (bytes / (1024 * 1024)).toFixed(1));
+  }
+
+  formatAge(milliseconds) {
+    const minutes = Math.floor(milliseconds / 60000);
+    if (minutes < 1) return I18n.get('ageJustNow');
+    if (minutes < 60) return I18n.get('ageMinutes', minutes);
+    const hours = Math.floor(minutes / 60);
+    return hours < 48 ? I18n.get('ageHours', hours) : I18n.get('ageDays', Math.floor(hours / 24));
+  }
+
+  renderPrivacyStatus() {
+    const mode = this.settings.privacyMode || 'open';
+    this.elements.privacyStatus.textContent = I18n.get('privacyStatus', SettingsManager.PRIVACY_LABELS[mode]);
+    this.elements.privacyStatus.className = `privacy-status ${mode}`;
+  }
+
+  async loadOverrides() {
+    try {
+      const { overrides } = await MessageProtocol.send('getOverrides');
+      this.overrides = overrides;
+    } catch (error) {
+      console.warn('Could not load avatar overrides:', error);
+    }
+    this.renderOverrides();
+  }
+
+  renderOverrides() {
+    const list = this.elements.overrideList;
+    list.textContent = '';
+    this.elements.overrideEmpty.hidden = this.overrides.length > 0;
+
+    this.overrides.forEach(override => {
+      const row = document.createElement('tr');
+
+      const match = document.createElement('td');
+      const pattern = document.createElement('span');
+      pattern.className = 'override-pattern';
+      pattern.textContent = override.pattern;
+      const kind = document.createElement('span');
+      kind.className = 'override-kind';
+      kind.textContent = SettingsManager.OVERRIDE_MATCH_LABELS[override.matchType];
+      match.append(pattern, kind);
+
+      const avatar = document.createElement('td');
+      // A URL preview would contact the image host, which only the open
+      // privacy mode allows without knowing the sender
+      if (override.mode === 'image' || (override.mode === 'url' && this.settings.privacyMode === 'open')) {
+        const preview = document.createElement('img');
+        preview.className = 'override-preview';
+        preview.src = override.value;
+        preview.alt = '';
+        avatar.appendChild(preview);
+      }
+      const mode = SettingsManager.OVERRIDE_MODE_LABELS[override.mode];
+      avatar.append(override.mode === 'initials' && override.value ? `${mode} (${override.value})` : mode);
+
+      const actions = document.createElement('td');
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'icon-button';
+      remove.textContent = '✕';
+      remove.setAttribute('aria-label', I18n.get('removeOverrideLabel', override.pattern));
+      remove.addEventListener('click', () => this.removeOverride(override.id));
+      actions.appendChild(remove);
+
+      row.append(match, avatar, actions);
+      list.appendChild(row);
+    });
+  }
+
+  // Show the value input that fits the selected avatar mode
+  updateOverrideForm() {
+    const mode = this.elements.overrideMode.value;
+    this.elements.overrideImage.hidden = mode !== 'image';
+    this.elements.overrideValue.hidden = mode !== 'url' && mode !== 'initials';
+    this.elements.overrideValue.placeholder = mode === 'url' ? 'https://example.com/photo.png' : I18n.get('overrideInitialsPlaceholder');
+    this.elements.overridePattern.placeholder = SettingsManager.OVERRIDE_PLACEHOLDERS[this.elements.overrideMatchType.value];
+  }
+
+  async addOverride() {
+    const mode = this.elements.overrideMode.value;
+
+    try {
+      let value = this.elements.overrideValue.value.trim();
+      if (mode === 'image') {
+        const file = this.elements.overrideImage.files[0];
+        if (!file) {
+          this.showToast(I18n.get('toastChooseImage'), 'warning');
+          return;
+        }
+        value = await this.readFileAsDataUrl(file);
+      }
+
+      const { override } = await MessageProtocol.send('saveOverride', {
+        override: {
+          matchType: this.elements.overrideMatchType.value,
+          pattern: this.elements.overridePattern.value,
+          mode: mode,
+          value: value
+        }
+      });
+
+      this.overrides.push(override);
+      this.renderOverrides();
+      this.elements.overridePattern.value = '';
+      this.elements.overrideValue.value = '';
+      this.elements.overrideImage.value = '';
+      this.showToast(I18n.get('toastOverrideAdded', override.pattern), 'success');
+    } catch (error) {
+      console.error('Failed to add override:', error);
+      this.showToast(error.message || I18n.get('toastAddOverrideFailed'), 'error');
+    }
+  }
+
+  async removeOverride(id) {
+    try {
+      await MessageProtocol.send('deleteOverride', { id });
+      this.overrides = this.overrides.filter(override => override.id !== id);
+      this.renderOverrides();
+      this.showToast(I18n.get('toastOverrideRemoved'), 'success');
+    } catch (error) {
+      console.error('Failed to remove override:', error);
+      this.showToast(I18n.get('toastRemoveOverrideFailed'), 'error');
+    }
+  }
+
+  readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  async exportBundle() {
+    try {
+      const { bundle } = await MessageProtocol.send('exportSettings', {
+        includeCache: this.elements.exportIncludeCache.checked,
+        includeSecrets: this.elements.exportIncludeSecrets.checked
+      });
+
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `avatar-card-view-settings-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.showToast(I18n.get('toastSettingsExported'), 'success');
+    } catch (error) {
+      console.error('Failed to export settings:', error);
+      this.showToast(I18n.get('toastExportFailed'), 'error');
+    }
+  }
+
+  // Validate the chosen file in the background and show what importing it would change
+  async previewBundle() {
+    const file = this.elements.bundleFile.files[0];
+    if (!file) return;
+
+    try {
+      const bundle = JSON.parse(await file.text());
+      const { preview } = await MessageProtocol.send('previewImport', { bundle });
+      this.pendingBundle = bundle;
+      this.renderImportPreview(preview);
+    } catch (error) {
+      console.error('Failed to read settings bundle:', error);
+      this.showToast(error instanceof SyntaxError ? I18n.get('toastInvalidJson') : error.message, 'error');
+      this.closeImportPreview();
+    } finally {
+      this.elements.bundleFile.value = '';
+    }
+  }
+
+  renderImportPreview(preview) {
+    const list = this.elements.importChanges;
+    list.textContent = '';
+    const addLine = (text, className = '') => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      if (className) item.className = className;
+      list.appendChild(item);
+    };
+    const format = value => (value === undefined ? I18n.get('importValueNotSet') : JSON.stringify(value));
+
+    if (preview.settings.length === 0) {
+      addLine(I18n.get('importNoSettingChanges'));
+    }
+    preview.settings.forEach(change => {
+      addLine(`${change.key}: ${format(change.current)} → ${format(change.incoming)}`);
+    });
+
+    const overrides = preview.overrides;
+    addLine(I18n.get('importOverrideSummary', [overrides.added.length, overrides.changed.length, overrides.unchanged]));
+    if (overrides.removedOnReplace > 0) {
+      addLine(I18n.get('importRemovedOnReplace', overrides.removedOnReplace));
+    }
+    if (preview.cacheEntries > 0) {
+      addLine(I18n.get('importCacheEntries', preview.cacheEntries));
+    }
+    preview.warnings.forEach(warning => addLine(warning, 'warning'));
+
+    this.elements.importMode.value = 'merge';
+    this.elements.importPreview.hidden = false;
+  }
+
+  closeImportPreview() {
+    this.pendingBundle = null;
+    this.elements.importPreview.hidden = true;
+  }
+
+  async applyImport() {
+    if (!this.pendingBundle) return;
+
+    try {
+      const { summary } = await MessageProtocol.send('importSettings', {
+        bundle: this.pendingBundle,
+        mode: this.elements.importMode.value
+      });
+      this.closeImportPreview();
+
+      await this.loadSettings();
+      await this.loadProviders();
+      this.updateUI();
+      await this.loadOverrides();
+      await this.loadStats();
+      this.showToast(I18n.get('toastImported', [summary.changedSettings, summary.overrides]), 'success');
+    } catch (error) {
+      console.error('Failed to import settings:', error);
+      this.showToast(error.message || I18n.get('toastImportFailed'), 'error');
+    }
+  }
+
+  async loadSuffixListInfo() {
+    try {
+      const { info } = await MessageProtocol.send('getPublicSuffixInfo');
+      this.renderSuffixListInfo(info);
+    } catch (error) {
+      console.warn('Could not load public suffix list info:', error);
+      this.elements.suffixListStatus.textContent = '-';
+    }
+  }
+
+  renderSuffixListInfo(info) {
+    if (info.source === 'imported') {
+      const name = info.fileName || I18n.get('suffixListImportedFile');
+      const date = info.updatedAt ? new Date(info.updatedAt).toLocaleDateString() : I18n.get('suffixListUnknownDate');
+      this.elements.suffixListStatus.textContent = I18n.get('suffixListImported', [info.ruleCount, name, date]);
+    } else if (info.source === 'bundled') {
+      this.elements.suffixListStatus.textContent = I18n.get('suffixListBundled', info.ruleCount);
+    } else {
+      this.elements.suffixListStatus.textContent = I18n.get('suffixListNotLoaded');
+    }
+  }
+
+  async importSuffixList() {
+    const file = this.elements.suffixListFile.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const { info } = await MessageProtocol.send('updatePublicSuffixList', { text, fileName: file.name });
+      this.renderSuffixListInfo(info);
+      this.showToast(I18n.get('toastSuffixListUpdated', info.ruleCount), 'success');
+      await this.loadStats();
+    } catch (error) {
+      console.error('Failed to import public suffix list:', error);
+      this.showToast(I18n.get('toastSuffixListInvalid'), 'error');
+    } finally {
+      // Allow re-importing the same file
+      this.elements.suffixListFile.value = '';
+    }
+  }
+
+  async resetSuffixList() {
+    try {
+      const { info } = await MessageProtocol.send('updatePublicSuffixList', { text: null });
+      this.renderSuffixListInfo(info);
+      this.showToast(I18n.get('toastSuffixListReset'), 'success');
+      await this.loadStats();
+    } catch (error) {
+      console.error('Failed to reset public suffix list:', error);
+      this.showToast(I18n.get('toastSuffixListResetFailed'), 'error');
+    }
+  }
+
+  // One domain per line (commas also accepted), lowercased and de-duplicated
+  parseDomainList(text) {
+    return Array.from(new Set(text
+      .split(/[\s,;]+/)
+      .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+      .filter(domain => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain))));
+  }
+
+  // "#abc" and "#aabbcc" entries, normalized to lowercase; anything else is dropped
+  parseColorList(text) {
+    return Array.from(new Set(text
+      .split(/[\s,;]+/)
+      .map(color => color.trim().toLowerCase())
+      .filter(color => /^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(color))));
+  }
+
   showToast(message, type = 'success') {
     const toast = this.elements.toast;
     toast.textContent = message;
@@ -309,6 +862,33 @@ class SettingsManager {
   }
 }
 
+SettingsManager.PRIVACY_LABELS = {
+  open: I18n.get('privacyStatusOpen'),
+  trusted: I18n.get('privacyStatusTrusted'),
+  offline: I18n.get('privacyStatusOffline')
+};
+
+SettingsManager.OVERRIDE_MATCH_LABELS = {
+  address: I18n.get('overrideMatchAddress'),
+  domain: I18n.get('overrideMatchDomain'),
+  regex: I18n.get('overrideMatchRegex'),
+  list: I18n.get('overrideMatchList')
+};
+
+SettingsManager.OVERRIDE_MODE_LABELS = {
+  image: I18n.get('overrideModeImage'),
+  url: I18n.get('overrideModeUrl'),
+  initials: I18n.get('overrideModeInitials'),
+  none: I18n.get('overrideModeNone')
+};
+
+SettingsManager.OVERRIDE_PLACEHOLDERS = {
+  address: 'jane@example.com',
+  domain: I18n.get('overridePlaceholderDomain'),
+  regex: '^billing@.*\\.example\\.com$',
+  list: I18n.get('overridePlaceholderList')
+};
+
 // Initialize settings manager when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,36 @@
+/**
+ * Avatar Card View - Address Book Provider
+ * Contact photos from Thunderbird's address books
+ */
+
+class AddressBookProvider extends AvatarProvider {
+  get id() {
+    return 'address-book';
+  }
+
+  get label() {
+    return I18n.get('providerAddressBookLabel');
+  }
+
+  get description() {
+    return I18n.get('providerAddressBookDescription');
+  }
+
+  get settingKey() {
+    return 'enableAddressBook';
+  }
+
+  async resolve(context) {
+    const photo = await this.services.addressBook.getPhotoForEmail(context.email);
+    if (!photo) return null;
+
+    return this.createAvatar(context, photo.url, 'address-book', { contactId: photo.contactId });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AddressBookProvider;
+} else if (typeof window !== 'undefined') {
+  window.AddressBookProvider = AddressBookProvider;
+}
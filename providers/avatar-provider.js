@@ -0,0 +1,100 @@
+/**
+ * Avatar Card View - Avatar Provider Base Class
+ * Common interface implemented by every avatar source
+ *
+ * A provider receives a lookup context ({ email, domain, registrableDomain,
+ * isConsumerDomain, allowRemote, settings }) and
+ * resolves to an avatar object, or null to let the next provider try.
+ * Shared services (fetch, validateImageUrl, addressBook, dnsResolver,
+ * faviconDiscovery) are injected by the background script through the
+ * constructor. Network services take the lookup context as their last
+ * argument so the request scheduler can prioritize and cancel per address.
+ */
+
+class AvatarProvider {
+  constructor(services = {}) {
+    this.services = services;
+  }
+
+  // Unique, stable identifier stored in settings.providerOrder
+  get id() {
+    throw new Error(`${this.constructor.name} must define an id`);
+  }
+
+  get label() {
+    return this.id;
+  }
+
+  get description() {
+    return '';
+  }
+
+  // Settings key that toggles this provider, or null if it cannot be disabled
+  get settingKey() {
+    return null;
+  }
+
+  // Settings besides settingKey that change what resolve() finds; shared
+  // domain cache entries are dropped when one of them changes
+  get dependsOn() {
+    return ['avatarSize'];
+  }
+
+  // Fallback providers always run last, after every ordered provider
+  get fallback() {
+    return false;
+  }
+
+  // 'domain' providers depend only on the sender's domain, so their outcome
+  // (including a miss) is shared by every address on it via the domain cache
+  get scope() {
+    return 'address';
+  }
+
+  // Remote providers contact a server outside Thunderbird and are skipped
+  // when the privacy mode does not allow that for the sender
+  get remote() {
+    return false;
+  }
+
+  isEnabled(settings) {
+    return !this.settingKey || settings[this.settingKey] !== false;
+  }
+
+  async resolve(context) {
+    throw new Error(`${this.constructor.name} must implement resolve()`);
+  }
+
+  // Hook for providers that keep internal state derived from settings
+  onSettingsChanged(settings) {}
+
+  createAvatar(context, url, type, extra = {}) {
+    return {
+      url: url,
+      type: type,
+      domain: context.domain,
+      size: context.settings.avatarSize,
+      email: context.email,
+      ...extra
+    };
+  }
+
+  describe(settings) {
+    return {
+      id: this.id,
+      label: this.label,
+      description: this.description,
+      settingKey: this.settingKey,
+      fallback: this.fallback,
+      remote: this.remote,
+      enabled: this.isEnabled(settings)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AvatarProvider;
+} else if (typeof window !== 'undefined') {
+  window.AvatarProvider = AvatarProvider;
+}
@@ -0,0 +1,138 @@
+/**
+ * Avatar Card View - BIMI Provider
+ * Verified brand marks published via BIMI (Brand Indicators for Message Identification)
+ *
+ * Only used when the sender's latest displayed message passed DMARC, since a
+ * BIMI logo says nothing about unauthenticated mail. Sources, best first: the
+ * receiving server's BIMI-Indicator header, the domain's BIMI DNS record, the
+ * BIMI-Location header. Senders can add the BIMI headers themselves, so they
+ * are only used when the topmost Authentication-Results reports bimi=pass.
+ * Every logo goes through SvgSanitizer before use.
+ */
+
+class BimiProvider extends AvatarProvider {
+  get id() {
+    return 'bimi';
+  }
+
+  get label() {
+    return I18n.get('providerBimiLabel');
+  }
+
+  get description() {
+    return I18n.get('providerBimiDescription');
+  }
+
+  get settingKey() {
+    return 'enableBimi';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  async resolve(context) {
+    // The mark of a free-mail domain belongs to the mail provider
+    if (!context.domain || context.isConsumerDomain || !this.services.messageHints) {
+      return null;
+    }
+
+    const hints = await this.services.messageHints.get(context.email);
+    if (!hints || !hints.dmarcPass) return null;
+
+    const svg = await this.findLogo(hints, context);
+    if (!svg) return null;
+
+    return this.createAvatar(context, SvgSanitizer.toDataUrl(svg), 'bimi', {
+      verified: true
+    });
+  }
+
+  async findLogo(hints, context) {
+    const headers = hints.headers || {};
+    const validated = hints.bimiPass === true;
+
+    // Already fetched and validated by the receiving server
+    if (validated && headers['bimi-indicator']) {
+      const svg = SvgSanitizer.sanitize(this.decodeIndicator(headers['bimi-indicator']));
+      if (svg) return svg;
+    }
+
+    const selector = this.parseTags(headers['bimi-selector']).s || 'default';
+    const record = await this.lookupRecord(selector, [context.domain, context.registrableDomain]);
+    // A record with an empty l= tag means the domain declines to show a logo
+    if (record && !record.l) return null;
+
+    const locations = [record && record.l, validated ? this.parseTags(headers['bimi-location']).l : null]
+      .filter((location, index, list) => location && list.indexOf(location) === index);
+
+    for (const location of locations) {
+      const svg = await this.fetchLogo(location, context);
+      if (svg) return svg;
+    }
+    return null;
+  }
+
+  // Author domain first, then the organizational domain, as BIMI specifies
+  async lookupRecord(selector, domains) {
+    const candidates = domains.filter((domain, index, list) => domain && list.indexOf(domain) === index);
+
+    for (const domain of candidates) {
+      const records = await this.services.dnsResolver.resolveTxt(`${selector}._bimi.${domain}`);
+      const record = records
+        .map(text => this.parseTags(text))
+        .find(tags => tags.v === 'BIMI1');
+      if (record) return record;
+    }
+    return null;
+  }
+
+  async fetchLogo(location, context) {
+    let url;
+    try {
+      url = new URL(location);
+    } catch (error) {
+      return null;
+    }
+    if (url.protocol !== 'https:') return null;
+
+    const response = await this.services.fetch(url.toString(), {
+      headers: { accept: 'image/svg+xml' }
+    }, context);
+    if (!response.ok) return null;
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > SvgSanitizer.MAX_LENGTH) return null;
+
+    return SvgSanitizer.sanitize(await response.text());
+  }
+
+  decodeIndicator(value) {
+    try {
+      const binary = atob(String(value).replace(/\s+/g, ''));
+      const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // "v=BIMI1; l=https://...; a=..." -> { v, l, a }
+  parseTags(text) {
+    const tags = {};
+    String(text || '').split(';').forEach(part => {
+      const separator = part.indexOf('=');
+      if (separator === -1) return;
+      const name = part.slice(0, separator).trim().toLowerCase();
+      if (name) tags[name] = part.slice(separator + 1).trim();
+    });
+    return tags;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BimiProvider;
+} else if (typeof window !== 'undefined') {
+  window.BimiProvider = BimiProvider;
+}
@@ -0,0 +1,151 @@
+/**
+ * Avatar Card View - Brandfetch Provider
+ * Brand logos and icons from the Brandfetch Brand API (requires an API key)
+ *
+ * Without a key, or when Brandfetch has no usable asset, the provider yields
+ * nothing and the chain continues with the Clearbit logo provider.
+ */
+
+class BrandfetchProvider extends AvatarProvider {
+  get id() {
+    return 'brandfetch';
+  }
+
+  get label() {
+    return I18n.get('providerBrandfetchLabel');
+  }
+
+  get description() {
+    return I18n.get('providerBrandfetchDescription');
+  }
+
+  get settingKey() {
+    return 'enableBrandfetch';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  get scope() {
+    return 'domain';
+  }
+
+  // The key decides whether a brand is found, the theme which asset is used
+  get dependsOn() {
+    return ['avatarSize', 'brandfetchApiKey', 'themeVariant'];
+  }
+
+  isEnabled(settings) {
+    return settings.enableBrandfetch !== false && !!settings.brandfetchApiKey;
+  }
+
+  async resolve(context) {
+    if (!context.domain) return null;
+
+    const brand = await this.fetchBrand(context.domain, context.settings.brandfetchApiKey, context);
+    if (!brand) return null;
+
+    const theme = this.resolveTheme(context.settings.themeVariant);
+    const asset = this.selectAsset(brand.logos || [], context.settings.avatarSize, theme);
+    if (!asset || !(await this.services.validateImageUrl(asset.src, context))) {
+      return null;
+    }
+
+    return this.createAvatar(context, asset.src, 'company-logo', {
+      variant: asset.type,
+      theme: asset.theme
+    });
+  }
+
+  async fetchBrand(domain, apiKey, context = null) {
+    const response = await this.services.fetch(`${BrandfetchProvider.API_URL}/brands/${encodeURIComponent(domain)}`, {
+      headers: {
+        accept: 'application/json',
+        authorization: `Bearer ${apiKey}`
+      }
+    }, context);
+
+    // 404: unknown brand; anything else unexpected is logged by the registry
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Brandfetch lookup failed with HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // 'auto' follows the system color scheme
+  resolveTheme(themeVariant) {
+    if (themeVariant === 'light' || themeVariant === 'dark') {
+      return themeVariant;
+    }
+    if (typeof window !== 'undefined' && window.matchMedia) {
+      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    return 'light';
+  }
+
+  // Pick the best format of the best variant for the requested size and theme
+  selectAsset(logos, size, theme) {
+    const candidates = [];
+
+    logos.forEach(logo => {
+      (logo.formats || []).forEach(format => {
+        if (!format.src || !BrandfetchProvider.FORMAT_SCORES[format.format]) return;
+        candidates.push({
+          src: format.src,
+          type: logo.type,
+          theme: logo.theme,
+          score: this.scoreAsset(logo, format, size, theme)
+        });
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+    return candidates[0] || null;
+  }
+
+  scoreAsset(logo, format, size, theme) {
+    // Square icons suit avatars better than wide wordmarks
+    const typeScore = BrandfetchProvider.TYPE_SCORES[logo.type] || 0;
+    // Brandfetch tags each variant with the background theme it is designed for
+    const themeScore = !logo.theme ? 5 : (logo.theme === theme ? 10 : 0);
+
+    let sizeScore;
+    if (format.format === 'svg') {
+      sizeScore = 10;
+    } else if (!format.width) {
+      sizeScore = 2;
+    } else if (format.width >= size) {
+      // Smallest raster that is still large enough
+      sizeScore = 8 - Math.min(6, Math.log2(format.width / size));
+    } else {
+      sizeScore = 4 * (format.width / size);
+    }
+
+    return typeScore * 10 + themeScore + sizeScore + BrandfetchProvider.FORMAT_SCORES[format.format];
+  }
+}
+
+BrandfetchProvider.API_URL = 'https://api.brandfetch.io/v2';
+
+BrandfetchProvider.TYPE_SCORES = {
+  icon: 3,
+  symbol: 2,
+  logo: 1
+};
+
+BrandfetchProvider.FORMAT_SCORES = {
+  svg: 3,
+  png: 2,
+  webp: 2,
+  jpeg: 1
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrandfetchProvider;
+} else if (typeof window !== 'undefined') {
+  window.BrandfetchProvider = BrandfetchProvider;
+}
@@ -0,0 +1,68 @@
+/**
+ * Avatar Card View - Custom URL Provider
+ * Avatars from a user-supplied URL template, e.g. a company directory
+ *
+ * Supported placeholders: {email}, {local}, {domain}, {md5}, {sha256}, {size}
+ */
+
+class CustomUrlProvider extends AvatarProvider {
+  get id() {
+    return 'custom-url';
+  }
+
+  get label() {
+    return I18n.get('providerCustomUrlLabel');
+  }
+
+  get description() {
+    return I18n.get('providerCustomUrlDescription');
+  }
+
+  get settingKey() {
+    return 'enableCustomUrl';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  isEnabled(settings) {
+    return settings.enableCustomUrl === true && !!settings.customAvatarUrl;
+  }
+
+  async resolve(context) {
+    const url = await this.buildUrl(context.settings.customAvatarUrl, context);
+    if (!url || !(await this.services.validateImageUrl(url, context))) {
+      return null;
+    }
+
+    return this.createAvatar(context, url, 'custom-url');
+  }
+
+  async buildUrl(template, context) {
+    if (!template) return null;
+
+    const email = HashUtils.normalizeEmail(context.email);
+    const values = {
+      email: email,
+      local: email.split('@')[0],
+      domain: context.domain || '',
+      size: String(context.settings.avatarSize)
+    };
+    if (template.includes('{md5}')) {
+      values.md5 = HashUtils.md5(email);
+    }
+    if (template.includes('{sha256}')) {
+      values.sha256 = await HashUtils.sha256(email);
+    }
+
+    return template.replace(/\{(email|local|domain|size|md5|sha256)\}/g, (match, key) => encodeURIComponent(values[key]));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomUrlProvider;
+} else if (typeof window !== 'undefined') {
+  window.CustomUrlProvider = CustomUrlProvider;
+}
@@ -0,0 +1,97 @@
+/**
+ * Avatar Card View - Favicon Provider
+ * Company favicons served from the sender's domain
+ */
+
+class FaviconProvider extends AvatarProvider {
+  get id() {
+    return 'favicon';
+  }
+
+  get label() {
+    return I18n.get('providerFaviconLabel');
+  }
+
+  get description() {
+    return I18n.get('providerFaviconDescription');
+  }
+
+  get settingKey() {
+    return 'enableFavicon';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  get scope() {
+    return 'domain';
+  }
+
+  async resolve(context) {
+    const icon = await this.findFavicon(context.domain, context.settings.avatarSize, context);
+    if (!icon) return null;
+
+    return this.createAvatar(context, icon.url, 'favicon', {
+      iconSource: icon.source,
+      iconType: icon.type || null
+    });
+  }
+
+  async findFavicon(domain, size, context = null) {
+    if (!domain) return null;
+
+    // Try known business domains first
+    const knownFavicon = FaviconProvider.KNOWN_FAVICONS[domain];
+    if (knownFavicon && await this.services.validateImageUrl(knownFavicon, context)) {
+      return { url: knownFavicon, source: 'known' };
+    }
+
+    // Icons the site declares in its markup and web app manifest, best fit first
+    const discovered = FaviconDiscovery.rankCandidates(
+      await this.services.faviconDiscovery.discover(domain, context),
+      size
+    ).slice(0, FaviconProvider.MAX_CANDIDATES);
+
+    for (const candidate of discovered) {
+      if (await this.services.validateImageUrl(candidate.url, context)) {
+        return candidate;
+      }
+    }
+
+    // Conventional locations the homepage did not mention
+    const tried = new Set(discovered.map(candidate => candidate.url));
+    const faviconUrls = [
+      `https://${domain}/favicon.ico`,
+      `https://www.${domain}/favicon.ico`,
+      `https://${domain}/favicon.png`,
+      `https://${domain}/apple-touch-icon.png`
+    ];
+
+    for (const url of faviconUrls) {
+      if (!tried.has(url) && await this.services.validateImageUrl(url, context)) {
+        return { url, source: 'default' };
+      }
+    }
+
+    return null;
+  }
+}
+
+FaviconProvider.MAX_CANDIDATES = 5;
+
+// Consumer mailbox domains (gmail.com, ...) never get here, see ConsumerDomains
+FaviconProvider.KNOWN_FAVICONS = {
+  'microsoft.com': 'https://www.microsoft.com/favicon.ico',
+  'google.com': 'https://www.google.com/favicon.ico',
+  'apple.com': 'https://www.apple.com/favicon.ico',
+  'amazon.com': 'https://www.amazon.com/favicon.ico',
+  'salesforce.com': 'https://c1.sfdcstatic.com/etc/designs/sfdc-www/dist/images/favicons/favicon-32x32.png'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FaviconProvider;
+} else if (typeof window !== 'undefined') {
+  window.FaviconProvider = FaviconProvider;
+}
@@ -0,0 +1,48 @@
+/**
+ * Avatar Card View - Google Favicon Provider
+ * Domain icons from Google's favicon service
+ */
+
+class GoogleFaviconProvider extends AvatarProvider {
+  get id() {
+    return 'google-favicon';
+  }
+
+  get label() {
+    return I18n.get('providerGoogleFaviconLabel');
+  }
+
+  get description() {
+    return I18n.get('providerGoogleFaviconDescription');
+  }
+
+  get settingKey() {
+    return 'enableGoogleFavicon';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  get scope() {
+    return 'domain';
+  }
+
+  async resolve(context) {
+    if (!context.domain) return null;
+
+    const url = `https://www.google.com/s2/favicons?domain=${encodeURIComponent(context.domain)}&sz=${context.settings.avatarSize}`;
+    if (!(await this.services.validateImageUrl(url, context))) {
+      return null;
+    }
+
+    return this.createAvatar(context, url, 'google-favicon');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GoogleFaviconProvider;
+} else if (typeof window !== 'undefined') {
+  window.GoogleFaviconProvider = GoogleFaviconProvider;
+}
@@ -0,0 +1,79 @@
+/**
+ * Avatar Card View - Initials Provider
+ * Professional initials fallback, always available as the last resort
+ *
+ * Drawing is left to the shared InitialsRenderer (services.initialsRenderer),
+ * which applies the user's shape, palette, theme and font settings.
+ */
+
+class InitialsProvider extends AvatarProvider {
+  get id() {
+    return 'initials';
+  }
+
+  get label() {
+    return I18n.get('providerInitialsLabel');
+  }
+
+  get description() {
+    return I18n.get('providerInitialsDescription');
+  }
+
+  get fallback() {
+    return true;
+  }
+
+  async resolve(context) {
+    return this.createBusinessInitials(context);
+  }
+
+  // initials: optional fixed text, e.g. from an avatar override
+  createBusinessInitials(context, initials = null) {
+    const settings = context.settings;
+    if (!initials) {
+      // Plain style: the first letter of the address, no names or roles
+      const generated = settings.enhancedInitials === false
+        ? { initials: (InitialsGenerator.graphemes(context.email)[0] || '?').toUpperCase() }
+        : InitialsGenerator.forSender(context.email, context.displayName);
+      if (generated.role) {
+        return this.createRoleAvatar(context, generated.role);
+      }
+      initials = generated.initials;
+    }
+
+    const svg = this.render(context, { initials });
+    return this.createAvatar(context, svg, 'business-initials', {
+      generated: true,
+      initials: initials,
+      shape: settings.initialsShape
+    });
+  }
+
+  // Role addresses (noreply@, support@, ...) get an icon instead of letters
+  createRoleAvatar(context, role) {
+    return this.createAvatar(context, this.render(context, { role }), 'role', {
+      generated: true,
+      role: role,
+      shape: context.settings.initialsShape
+    });
+  }
+
+  render(context, content) {
+    const svg = this.services.initialsRenderer.render({
+      ...content,
+      seed: context.domain || context.email,
+      // A badge for gmail.com says nothing about the sender
+      domain: context.isConsumerDomain ? null : context.registrableDomain || context.domain
+    }, context.settings);
+
+    // UTF-8 safe, unlike btoa() on non-Latin-1 initials
+    return SvgSanitizer.toDataUrl(svg);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InitialsProvider;
+} else if (typeof window !== 'undefined') {
+  window.InitialsProvider = InitialsProvider;
+}
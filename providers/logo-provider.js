@@ -0,0 +1,57 @@
+/**
+ * Avatar Card View - Company Logo Provider
+ * Company logos from logo APIs (Clearbit)
+ */
+
+class LogoProvider extends AvatarProvider {
+  get id() {
+    return 'logo-api';
+  }
+
+  get label() {
+    return I18n.get('providerLogoLabel');
+  }
+
+  get description() {
+    return I18n.get('providerLogoDescription');
+  }
+
+  get settingKey() {
+    return 'enableLogoAPI';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  get scope() {
+    return 'domain';
+  }
+
+  async resolve(context) {
+    const url = await this.getClearbitLogo(context.domain, context);
+    return url ? this.createAvatar(context, url, 'company-logo') : null;
+  }
+
+  async getClearbitLogo(domain, context = null) {
+    if (!domain) return null;
+
+    // Clearbit Logo API (free tier)
+    const clearbitUrl = `${LogoProvider.CLEARBIT_URL}/${domain}`;
+    const response = await this.services.fetch(clearbitUrl, { method: 'HEAD', mode: 'cors' }, context);
+    if (response.ok && response.headers.get('content-type')?.startsWith('image/')) {
+      return clearbitUrl;
+    }
+
+    return null;
+  }
+}
+
+LogoProvider.CLEARBIT_URL = 'https://logo.clearbit.com';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LogoProvider;
+} else if (typeof window !== 'undefined') {
+  window.LogoProvider = LogoProvider;
+}
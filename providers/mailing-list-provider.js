@@ -0,0 +1,57 @@
+/**
+ * Avatar Card View - Mailing List Provider
+ * Group avatars for mailing list addresses
+ *
+ * Addresses that displayed messages identified as a list (see
+ * utils/mailing-lists.js) get the list's initials on a stacked badge, colored
+ * by List-Id. A list override replaces it with an image or fixed initials.
+ */
+
+class MailingListProvider extends AvatarProvider {
+  get id() {
+    return 'mailing-list';
+  }
+
+  get label() {
+    return I18n.get('providerMailingListLabel');
+  }
+
+  get description() {
+    return I18n.get('providerMailingListDescription');
+  }
+
+  get settingKey() {
+    return 'enableMailingLists';
+  }
+
+  async resolve(context) {
+    // Headers of a message being displayed right now may still be on their way
+    await this.services.messageHints.get(context.email);
+    const list = this.services.mailingLists.get(context.email);
+    if (!list) return null;
+
+    const extra = { list: { id: list.id, name: list.name } };
+    const override = this.services.overrides.matchList(list.id);
+    // A URL override needs the privacy mode's consent to contact its host;
+    // without it the list gets its generated avatar
+    const remoteAllowed = context.allowRemote !== false;
+    if (override && (override.mode === 'image' || (override.mode === 'url' && remoteAllowed))) {
+      return this.createAvatar(context, override.value, 'mailing-list', { ...extra, overrideId: override.id });
+    }
+
+    const initials = override && override.mode === 'initials' && override.value ? override.value : MailingLists.getInitials(list);
+    const svg = this.services.initialsRenderer.render({ initials, seed: list.id, stacked: true }, context.settings);
+    return this.createAvatar(context, SvgSanitizer.toDataUrl(svg), 'mailing-list', {
+      ...extra,
+      generated: true,
+      shape: context.settings.initialsShape
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MailingListProvider;
+} else if (typeof window !== 'undefined') {
+  window.MailingListProvider = MailingListProvider;
+}
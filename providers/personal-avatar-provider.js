@@ -0,0 +1,115 @@
+/**
+ * Avatar Card View - Personal Avatar Provider
+ * Gravatar and (federated) Libravatar lookups by email hash
+ */
+
+class PersonalAvatarProvider extends AvatarProvider {
+  constructor(services) {
+    super(services);
+    // Libravatar federation answers, keyed by domain: { server, expires }
+    this.libravatarServers = new Map();
+  }
+
+  get id() {
+    return 'gravatar';
+  }
+
+  get label() {
+    return I18n.get('providerPersonalAvatarLabel');
+  }
+
+  get description() {
+    return I18n.get('providerPersonalAvatarDescription');
+  }
+
+  get settingKey() {
+    return 'enableGravatar';
+  }
+
+  get remote() {
+    return true;
+  }
+
+  onSettingsChanged() {
+    this.libravatarServers.clear();
+  }
+
+  async resolve(context) {
+    const source = context.settings.personalAvatarSource === 'libravatar' ? 'libravatar' : 'gravatar';
+    const url = source === 'libravatar'
+      ? await this.getLibravatarUrl(context)
+      : this.getGravatarUrl(context);
+
+    // Both services answer d=404 with a 404 when no avatar exists
+    if (!(await this.services.validateImageUrl(url, context))) {
+      return null;
+    }
+
+    return this.createAvatar(context, url, source);
+  }
+
+  getGravatarUrl(context) {
+    const hash = HashUtils.md5(HashUtils.normalizeEmail(context.email));
+    return `${PersonalAvatarProvider.GRAVATAR_SERVER}/avatar/${hash}?s=${context.settings.avatarSize}&d=404`;
+  }
+
+  async getLibravatarUrl(context) {
+    const hash = await HashUtils.sha256(HashUtils.normalizeEmail(context.email));
+    const baseUrl = context.settings.libravatarFederation
+      ? await this.getLibravatarServer(context.domain)
+      : PersonalAvatarProvider.LIBRAVATAR_SERVER;
+    return `${baseUrl}/avatar/${hash}?s=${context.settings.avatarSize}&d=404`;
+  }
+
+  // Federated Libravatar: the sender's domain may delegate avatars via DNS SRV records
+  async getLibravatarServer(domain) {
+    if (!domain) return PersonalAvatarProvider.LIBRAVATAR_SERVER;
+    const known = this.libravatarServers.get(domain);
+    if (known && known.expires > Date.now()) {
+      return known.server;
+    }
+    this.libravatarServers.delete(domain);
+
+    const resolver = this.services.dnsResolver;
+    let server = PersonalAvatarProvider.LIBRAVATAR_SERVER;
+    try {
+      const secure = await resolver.resolveSrv(`_avatars-sec._tcp.${domain}`);
+      if (secure.length > 0) {
+        const { target, port } = secure[0];
+        server = port === 443 ? `https://${target}` : `https://${target}:${port}`;
+      } else {
+        const plain = await resolver.resolveSrv(`_avatars._tcp.${domain}`);
+        if (plain.length > 0) {
+          const { target, port } = plain[0];
+          server = port === 80 ? `http://${target}` : `http://${target}:${port}`;
+        }
+      }
+    } catch (error) {
+      // Not remembered: the next lookup asks again instead of pinning the
+      // domain to the default server after one failed query
+      console.debug('Libravatar federation lookup failed for', domain, error);
+      return server;
+    }
+
+    // An answer without SRV records is remembered as well
+    this.libravatarServers.set(domain, { server, expires: Date.now() + PersonalAvatarProvider.FEDERATION_TTL });
+    if (this.libravatarServers.size > PersonalAvatarProvider.MAX_FEDERATION_ENTRIES) {
+      this.libravatarServers.delete(this.libravatarServers.keys().next().value);
+    }
+    return server;
+  }
+}
+
+PersonalAvatarProvider.GRAVATAR_SERVER = 'https://www.gravatar.com';
+PersonalAvatarProvider.LIBRAVATAR_SERVER = 'https://seccdn.libravatar.org';
+
+// How long, and for how many domains, federation answers are remembered
+PersonalAvatarProvider.FEDERATION_TTL = 6 * 60 * 60 * 1000;
+PersonalAvatarProvider.MAX_FEDERATION_ENTRIES = 500;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PersonalAvatarProvider;
+} else if (typeof window !== 'undefined') {
+  window.PersonalAvatarProvider = PersonalAvatarProvider;
+}
@@ -0,0 +1,162 @@
+/**
+ * Avatar Card View - Avatar Provider Registry
+ * Holds the registered avatar sources and runs them in the user's order
+ */
+
+class ProviderRegistry {
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.domainCache = options.domainCache || null;
+    // Optional final step for a found avatar (e.g. inlining its image); returning
+    // null moves on to the next provider
+    this.prepare = options.prepare || null;
+    // Concurrent lookups for the same provider and domain share one request
+    this.inFlight = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Avatar provider "${provider.id}" is already registered`);
+    }
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  // Providers in settings.providerOrder, fallbacks last. Providers missing from a
+  // stored order (added in a later version) keep their default position relative
+  // to the next registered provider that is listed.
+  getOrderedProviders(settings) {
+    const order = Array.isArray(settings.providerOrder) ? settings.providerOrder : [];
+    const all = Array.from(this.providers.values());
+    const ordered = order
+      .map(id => this.providers.get(id))
+      .filter((provider, index, list) => provider && !provider.fallback && list.indexOf(provider) === index);
+
+    const regular = all.filter(provider => !provider.fallback);
+    regular.forEach((provider, index) => {
+      if (ordered.includes(provider)) return;
+      const next = regular.slice(index + 1).find(candidate => ordered.includes(candidate));
+      if (next) {
+        ordered.splice(ordered.indexOf(next), 0, provider);
+      } else {
+        ordered.push(provider);
+      }
+    });
+
+    const fallbacks = all.filter(provider => provider.fallback);
+    return [...ordered, ...fallbacks];
+  }
+
+  // Settings that switch a provider on or off
+  getSettingKeys() {
+    return Array.from(this.providers.values())
+      .map(provider => provider.settingKey)
+      .filter(Boolean);
+  }
+
+  // Settings whose change makes shared domain cache entries outdated
+  getDomainSettingKeys() {
+    const keys = Array.from(this.providers.values())
+      .filter(provider => provider.scope === 'domain')
+      .flatMap(provider => provider.dependsOn);
+    return [...new Set(keys)];
+  }
+
+  // Run enabled providers in order until one produces an avatar
+  async resolve(context) {
+    for (const provider of this.getOrderedProviders(context.settings)) {
+      if (!provider.isEnabled(context.settings)) continue;
+      // A free-mail domain's icon is the mail provider's, not the sender's
+      if (context.isConsumerDomain && provider.scope === 'domain') continue;
+      // Privacy mode: no network lookups for this sender
+      if (provider.remote && context.allowRemote === false) continue;
+
+      try {
+        const avatar = await this.resolveWith(provider, context);
+        if (avatar) {
+          return { ...avatar, provider: provider.id };
+        }
+      } catch (error) {
+        console.debug(`Avatar provider ${provider.id} failed for`, context.email, error);
+      }
+    }
+
+    return null;
+  }
+
+  async prepareAvatar(avatar, context) {
+    return avatar && this.prepare ? this.prepare(avatar, context) : avatar;
+  }
+
+  // Domain-scoped providers try the registrable domain first, then the full host
+  async resolveWith(provider, context) {
+    if (provider.scope !== 'domain' || !context.domain) {
+      return this.prepareAvatar(await provider.resolve(context), context);
+    }
+
+    const domains = [context.registrableDomain, context.domain]
+      .filter((domain, index, list) => domain && list.indexOf(domain) === index);
+
+    for (const domain of domains) {
+      const avatar = await this.resolveForDomain(provider, { ...context, domain });
+      if (avatar) return avatar;
+    }
+    return null;
+  }
+
+  async resolveForDomain(provider, context) {
+    if (!this.domainCache) {
+      return this.prepareAvatar(await provider.resolve(context), context);
+    }
+
+    const cached = await this.domainCache.get(provider.id, context.domain);
+    if (cached) {
+      return cached.avatar && { ...cached.avatar, email: context.email };
+    }
+
+    const key = `${provider.id}:${context.domain}`;
+    if (!this.inFlight.has(key)) {
+      // Cached prepared, so other addresses on the domain reuse the inlined
+      // image instead of downloading it again
+      const lookup = provider.resolve(context).then(avatar => this.prepareAvatar(avatar, context)).then(async avatar => {
+        // Errors propagate uncached: they are usually transient
+        await this.domainCache.set(provider.id, context.domain, avatar);
+        return avatar;
+      });
+      this.inFlight.set(key, lookup);
+      lookup.then(() => this.inFlight.delete(key), () => this.inFlight.delete(key));
+    }
+
+    let avatar;
+    try {
+      avatar = await this.inFlight.get(key);
+    } catch (error) {
+      // The shared lookup was cancelled for another address; run our own
+      if (RequestScheduler.isCancellation(error) && error.group !== context.email) {
+        return this.resolveForDomain(provider, context);
+      }
+      throw error;
+    }
+    return avatar && { ...avatar, email: context.email };
+  }
+
+  notifySettingsChanged(settings) {
+    this.providers.forEach(provider => provider.onSettingsChanged(settings));
+  }
+
+  // Provider metadata in effective order, for the options page
+  describe(settings) {
+    return this.getOrderedProviders(settings).map(provider => provider.describe(settings));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderRegistry;
+} else if (typeof window !== 'undefined') {
+  window.ProviderRegistry = ProviderRegistry;
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Avatar Card View - Locale Check
+ * Flags message keys that are missing from a catalog or used but never defined
+ *
+ * English (_locales/en) is the reference catalog. Every other locale must have
+ * exactly its keys, with the same $1, $2, ... substitutions in each message.
+ * Keys referenced from the code (I18n.get('key'), data-i18n attributes in
+ * pages, __MSG_key__ in the manifest) must exist in the reference catalog.
+ *
+ * Usage: node tools/check-locales.js   (exits with 1 when a problem is found)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, '_locales');
+const REFERENCE_LOCALE = 'en';
+const SOURCE_DIRS = ['.', 'content', 'options', 'providers', 'utils'];
+
+function readCatalog(locale) {
+  const file = path.join(LOCALES_DIR, locale, 'messages.json');
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// "$2 of $1" -> "$1,$2"
+function substitutions(message) {
+  const found = new Set(String(message).match(/\$[1-9]/g) || []);
+  return [...found].sort().join(',');
+}
+
+function sourceFiles() {
+  return SOURCE_DIRS.flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+    .filter(name => /\.(js|html)$/.test(name))
+    .map(name => path.join(ROOT, dir, name)));
+}
+
+// Map of key -> first file that uses it
+function usedKeys() {
+  const used = new Map();
+  const add = (key, file) => {
+    if (!used.has(key)) used.set(key, path.relative(ROOT, file));
+  };
+
+  sourceFiles().forEach(file => {
+    const text = fs.readFileSync(file, 'utf8');
+    for (const match of text.matchAll(/I18n\.get\(\s*'([^']+)'/g)) add(match[1], file);
+    for (const match of text.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)) add(match[1], file);
+  });
+
+  const manifest = path.join(ROOT, 'manifest.json');
+  for (const match of fs.readFileSync(manifest, 'utf8').matchAll(/__MSG_(\w+)__/g)) add(match[1], manifest);
+  return used;
+}
+
+function check() {
+  const problems = [];
+  const reference = readCatalog(REFERENCE_LOCALE);
+  const locales = fs.readdirSync(LOCALES_DIR).filter(locale => locale !== REFERENCE_LOCALE).sort();
+
+  locales.forEach(locale => {
+    const catalog = readCatalog(locale);
+    Object.keys(reference).forEach(key => {
+      if (!catalog[key]) {
+        problems.push(`${locale}: missing "${key}"`);
+      } else if (substitutions(catalog[key].message) !== substitutions(reference[key].message)) {
+        problems.push(`${locale}: "${key}" uses ${substitutions(catalog[key].message) || 'no substitutions'}, ` +
+          `${REFERENCE_LOCALE} uses ${substitutions(reference[key].message) || 'none'}`);
+      }
+    });
+    Object.keys(catalog).filter(key => !reference[key]).forEach(key => {
+      problems.push(`${locale}: "${key}" is not in ${REFERENCE_LOCALE}`);
+    });
+  });
+
+  const used = usedKeys();
+  used.forEach((file, key) => {
+    if (!reference[key]) problems.push(`${file}: "${key}" is not in ${REFERENCE_LOCALE}`);
+  });
+
+  return { problems, locales: [REFERENCE_LOCALE, ...locales], keys: Object.keys(reference).length };
+}
+
+const { problems, locales, keys } = check();
+if (problems.length > 0) {
+  problems.forEach(problem => console.error(problem));
+  console.error(`${problems.length} locale problem(s) found`);
+  process.exit(1);
+}
+console.log(`${keys} messages checked in ${locales.join(', ')}`);
@@ -0,0 +1,180 @@
+/**
+ * Avatar Card View - Address Book Lookup
+ * Finds senders in Thunderbird's address books and extracts their contact photos
+ *
+ * Uses the contacts API (addressBooks permission). Photos come from
+ * contacts.getPhoto() where available, otherwise from the vCard PHOTO property.
+ */
+
+class AddressBookLookup {
+  constructor() {
+    // Contact id -> lowercase addresses, so deletions can be mapped back to emails
+    this.contactEmails = new Map();
+    this.changeListeners = new Set();
+    this.listening = false;
+  }
+
+  isAvailable() {
+    return typeof browser !== 'undefined' && !!browser.contacts;
+  }
+
+  // Find all contacts, across every address book, that carry this exact address
+  async findContacts(email) {
+    if (!this.isAvailable() || !email) return [];
+
+    const normalized = email.toLowerCase().trim();
+    const results = await browser.contacts.quickSearch(normalized);
+
+    return (results || []).filter(contact => {
+      const emails = this.getContactEmails(contact);
+      this.contactEmails.set(contact.id, emails);
+      return emails.includes(normalized);
+    });
+  }
+
+  async hasContact(email) {
+    try {
+      return (await this.findContacts(email)).length > 0;
+    } catch (error) {
+      console.debug('Address book search failed for', email, error);
+      return false;
+    }
+  }
+
+  // First contact photo found for this address, as a data URL
+  async getPhotoForEmail(email) {
+    const contacts = await this.findContacts(email);
+
+    for (const contact of contacts) {
+      const photo = await this.getContactPhoto(contact);
+      if (photo) {
+        return { url: photo, contactId: contact.id };
+      }
+    }
+
+    return null;
+  }
+
+  async getContactPhoto(contact) {
+    // Thunderbird 106+ exposes the photo file directly
+    if (browser.contacts.getPhoto) {
+      try {
+        const file = await browser.contacts.getPhoto(contact.id);
+        if (file) {
+          return this.blobToDataUrl(file);
+        }
+      } catch (error) {
+        console.debug('contacts.getPhoto failed for', contact.id, error);
+      }
+    }
+
+    const vCard = contact.properties?.vCard || contact.vCard;
+    return vCard ? this.parseVCardPhoto(vCard) : null;
+  }
+
+  getContactEmails(contact) {
+    const emails = new Set();
+    const properties = contact.properties || {};
+
+    for (const key of ['PrimaryEmail', 'SecondEmail']) {
+      if (properties[key]) {
+        emails.add(properties[key].toLowerCase().trim());
+      }
+    }
+
+    const vCard = properties.vCard || contact.vCard;
+    if (vCard) {
+      for (const line of this.unfoldVCard(vCard)) {
+        const match = line.match(/^(?:[\w-]+\.)?EMAIL(?:;[^:]*)?:(.+)$/i);
+        if (match) {
+          emails.add(match[1].toLowerCase().trim());
+        }
+      }
+    }
+
+    return Array.from(emails);
+  }
+
+  // Extract the PHOTO property from a vCard 3.0 (ENCODING=b) or 4.0 (data: URI) card
+  parseVCardPhoto(vCard) {
+    for (const line of this.unfoldVCard(vCard)) {
+      const match = line.match(/^(?:[\w-]+\.)?PHOTO((?:;[^:]*)?):(.+)$/i);
+      if (!match) continue;
+
+      const params = match[1].toUpperCase();
+      const value = match[2].trim();
+
+      if (value.startsWith('data:image/')) {
+        return value;
+      }
+
+      if (/ENCODING=(B|BASE64)/.test(params)) {
+        const type = (params.match(/TYPE=([A-Z0-9+-]+)/) || [])[1] || 'JPEG';
+        const mime = type.includes('/') ? type.toLowerCase() : `image/${type.toLowerCase()}`;
+        return `data:${mime};base64,${value.replace(/\s+/g, '')}`;
+      }
+    }
+
+    return null;
+  }
+
+  // RFC 6350 line unfolding: a CRLF followed by whitespace continues the previous line
+  unfoldVCard(vCard) {
+    return vCard.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Notify listeners with the affected addresses and the contact id whenever
+  // a contact changes. Addresses of a contact deleted before it was seen here
+  // are unknown, so listeners also get the id.
+  addChangeListener(callback) {
+    this.changeListeners.add(callback);
+    this.startListening();
+  }
+
+  startListening() {
+    if (this.listening || !this.isAvailable()) return;
+    this.listening = true;
+
+    const notifyFor = (contact) => {
+      const previous = this.contactEmails.get(contact.id) || [];
+      const current = this.getContactEmails(contact);
+      this.contactEmails.set(contact.id, current);
+      this.notify([...new Set([...previous, ...current])], contact.id);
+    };
+
+    browser.contacts.onCreated?.addListener(notifyFor);
+    browser.contacts.onUpdated?.addListener(notifyFor);
+    browser.contacts.onDeleted?.addListener((parentId, id) => {
+      const emails = this.contactEmails.get(id) || [];
+      this.contactEmails.delete(id);
+      this.notify(emails, id);
+    });
+  }
+
+  notify(emails, contactId = null) {
+    if (emails.length === 0 && !contactId) return;
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(emails, contactId);
+      } catch (error) {
+        console.error('Address book change listener failed:', error);
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AddressBookLookup;
+} else if (typeof window !== 'undefined') {
+  window.AddressBookLookup = AddressBookLookup;
+}
@@ -0,0 +1,180 @@
+/**
+ * Avatar Card View - Avatar Prefetcher
+ * Resolves avatars before the mail view asks for them
+ *
+ * Senders of newly received mail and of the newest messages in a folder that
+ * is opened in a mail tab are looked up at background priority, so the first
+ * view of a busy inbox finds them cached. Prefetching pauses while the device
+ * runs on battery or a metered connection, where the platform exposes that.
+ */
+
+class AvatarPrefetcher {
+  constructor(options = {}) {
+    this.getAvatar = options.getAvatar;
+    this.getSettings = options.getSettings;
+    this.concurrency = options.concurrency || 2;
+    // Upper bound on messages read from one folder to find its newest ones
+    this.maxScan = options.maxScan || 2000;
+    this.maxQueue = options.maxQueue || 500;
+
+    // { email, displayName } in arrival order
+    this.queue = [];
+    this.queued = new Set();
+    this.active = 0;
+    this.constrained = false;
+    this.prefetched = 0;
+  }
+
+  // Listen for new mail and opened folders; events are handled once ready
+  // has settled, since the settings decide whether to prefetch at all
+  attach(ready = Promise.resolve()) {
+    if (typeof browser === 'undefined') return false;
+
+    if (browser.messages && browser.messages.onNewMailReceived) {
+      browser.messages.onNewMailReceived.addListener(async (folder, messageList) => {
+        await ready;
+        this.addMessages(messageList && messageList.messages);
+      });
+    }
+
+    if (browser.mailTabs && browser.mailTabs.onDisplayedFolderChanged) {
+      browser.mailTabs.onDisplayedFolderChanged.addListener(async (tab, folder) => {
+        await ready;
+        this.prefetchFolder(folder).catch(error => {
+          console.debug('Folder prefetch failed:', error);
+        });
+      });
+    }
+
+    this.watchConstraints();
+    return true;
+  }
+
+  isEnabled() {
+    return !!this.getSettings().enablePrefetch;
+  }
+
+  // Queue the newest prefetchMessageLimit messages of a folder
+  async prefetchFolder(folder) {
+    if (!this.isEnabled() || !folder || !browser.messages || !browser.messages.list) return 0;
+
+    const limit = this.getSettings().prefetchMessageLimit;
+    const newest = [];
+    let scanned = 0;
+    let page = await browser.messages.list(folder);
+
+    // Pages come in folder order, not by date, so keep the newest seen so far
+    while (page) {
+      page.messages.forEach(message => newest.push(message));
+      newest.sort((a, b) => AvatarPrefetcher.timeOf(b) - AvatarPrefetcher.timeOf(a));
+      newest.length = Math.min(newest.length, limit);
+
+      scanned += page.messages.length;
+      if (!page.id || scanned >= this.maxScan) {
+        if (page.id && browser.messages.abortList) {
+          browser.messages.abortList(page.id).catch(() => {});
+        }
+        break;
+      }
+      page = await browser.messages.continueList(page.id);
+    }
+
+    return this.addMessages(newest);
+  }
+
+  // Queue the authors of message headers; returns how many were added
+  addMessages(messages) {
+    if (!this.isEnabled() || !Array.isArray(messages)) return 0;
+
+    let added = 0;
+    messages.forEach(message => {
+      const email = MessageHintStore.extractAddress(message && message.author);
+      if (!email || this.queued.has(email) || this.queue.length >= this.maxQueue) return;
+      this.queued.add(email);
+      this.queue.push({ email, displayName: MessageHintStore.extractDisplayName(message.author) });
+      added++;
+    });
+
+    this.pump();
+    return added;
+  }
+
+  pump() {
+    while (!this.constrained && this.isEnabled() && this.active < this.concurrency && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  async run({ email, displayName }) {
+    this.active++;
+    try {
+      await this.getAvatar(email, displayName);
+      this.prefetched++;
+    } catch (error) {
+      console.debug('Avatar prefetch failed for', email, error);
+    } finally {
+      this.queued.delete(email);
+      this.active--;
+      this.pump();
+    }
+  }
+
+  // Battery Status and Network Information are not available everywhere;
+  // without them prefetching simply never pauses
+  async watchConstraints() {
+    const update = () => {
+      const wasConstrained = this.constrained;
+      this.constrained = AvatarPrefetcher.isConstrained(battery, connection);
+      if (wasConstrained && !this.constrained) {
+        this.pump();
+      }
+    };
+
+    const connection = typeof navigator !== 'undefined' ? navigator.connection || null : null;
+    let battery = null;
+    if (typeof navigator !== 'undefined' && typeof navigator.getBattery === 'function') {
+      try {
+        battery = await navigator.getBattery();
+        battery.addEventListener('chargingchange', update);
+      } catch (error) {
+        battery = null;
+      }
+    }
+    if (connection && connection.addEventListener) {
+      connection.addEventListener('change', update);
+    }
+    update();
+  }
+
+  clear() {
+    this.queue.forEach(({ email }) => this.queued.delete(email));
+    this.queue = [];
+  }
+
+  getStats() {
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      prefetched: this.prefetched,
+      paused: this.constrained
+    };
+  }
+
+  static isConstrained(battery, connection) {
+    if (battery && battery.charging === false) return true;
+    if (connection && (connection.saveData || connection.metered || connection.type === 'cellular')) return true;
+    return false;
+  }
+
+  static timeOf(message) {
+    const date = message && message.date;
+    return date ? new Date(date).getTime() || 0 : 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AvatarPrefetcher;
+} else if (typeof window !== 'undefined') {
+  window.AvatarPrefetcher = AvatarPrefetcher;
+}
@@ -0,0 +1,83 @@
+/**
+ * Avatar Card View - Avatar Subscriptions
+ * Remembers which tab and frame asked for which address
+ *
+ * When a background refresh produces a different avatar, the background
+ * pushes it to exactly these content scripts so their cards update in place.
+ * Addresses are kept in least-recently-requested order and capped, so a long
+ * session does not accumulate subscriptions without bound.
+ */
+
+class AvatarSubscriptions {
+  constructor(options = {}) {
+    // email -> Map("tabId:frameId" -> { tabId, frameId })
+    this.subscriptions = new Map();
+    this.maxAddresses = options.maxAddresses || 1000;
+  }
+
+  // sender is the runtime.MessageSender of a getAvatar request
+  add(email, sender) {
+    if (!sender || !sender.tab || sender.tab.id === undefined) return;
+
+    const targets = this.subscriptions.get(email) || new Map();
+    this.subscriptions.delete(email);
+    this.subscriptions.set(email, targets);
+
+    const target = { tabId: sender.tab.id, frameId: sender.frameId || 0 };
+    targets.set(AvatarSubscriptions.keyOf(target), target);
+
+    while (this.subscriptions.size > this.maxAddresses) {
+      this.subscriptions.delete(this.subscriptions.keys().next().value);
+    }
+  }
+
+  get(email) {
+    const targets = this.subscriptions.get(email);
+    return targets ? Array.from(targets.values()) : [];
+  }
+
+  has(email) {
+    return this.subscriptions.has(email);
+  }
+
+  // Every address some frame is showing
+  emails() {
+    return Array.from(this.subscriptions.keys());
+  }
+
+  remove(email, target) {
+    const targets = this.subscriptions.get(email);
+    if (!targets) return;
+    targets.delete(AvatarSubscriptions.keyOf(target));
+    if (targets.size === 0) {
+      this.subscriptions.delete(email);
+    }
+  }
+
+  // A closed or reloaded tab no longer shows any of its cards
+  removeTab(tabId) {
+    for (const [email, targets] of this.subscriptions) {
+      for (const [key, target] of targets) {
+        if (target.tabId === tabId) targets.delete(key);
+      }
+      if (targets.size === 0) {
+        this.subscriptions.delete(email);
+      }
+    }
+  }
+
+  clear() {
+    this.subscriptions.clear();
+  }
+
+  static keyOf(target) {
+    return `${target.tabId}:${target.frameId}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AvatarSubscriptions;
+} else if (typeof window !== 'undefined') {
+  window.AvatarSubscriptions = AvatarSubscriptions;
+}
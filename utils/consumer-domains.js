@@ -0,0 +1,82 @@
+/**
+ * Avatar Card View - Consumer Mailbox Domains
+ * Recognizes free-mail and consumer mailbox domains (gmail.com, gmx.de, ...)
+ *
+ * The favicon of such a domain belongs to the mail provider, not to the sender,
+ * so company logo providers are skipped for these senders. The built-in list
+ * can be extended by the user (settings.customConsumerDomains).
+ */
+
+class ConsumerDomains {
+  constructor(customDomains = []) {
+    this.customDomains = new Set();
+    this.setCustomDomains(customDomains);
+  }
+
+  setCustomDomains(domains) {
+    this.customDomains = new Set(ConsumerDomains.normalizeList(domains));
+  }
+
+  // Exact match, or a subdomain of a listed domain (e.g. mail.gmx.net)
+  isConsumer(domain) {
+    if (!domain) return false;
+
+    let candidate = domain.toLowerCase();
+    while (candidate.includes('.')) {
+      if (ConsumerDomains.BUILT_IN.has(candidate) || this.customDomains.has(candidate)) {
+        return true;
+      }
+      candidate = candidate.slice(candidate.indexOf('.') + 1);
+    }
+    return false;
+  }
+
+  // Accepts an array or newline/comma separated text; drops anything that is not a domain
+  static normalizeList(domains) {
+    const list = Array.isArray(domains) ? domains : String(domains || '').split(/[\s,;]+/);
+    return Array.from(new Set(list
+      .map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''))
+      .filter(domain => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain))));
+  }
+}
+
+ConsumerDomains.BUILT_IN = new Set([
+  // International
+  'gmail.com', 'googlemail.com',
+  'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'passport.com',
+  'hotmail.co.uk', 'hotmail.de', 'hotmail.fr', 'hotmail.es', 'hotmail.it', 'live.de', 'live.fr', 'outlook.de', 'outlook.fr',
+  'yahoo.com', 'yahoo.co.uk', 'yahoo.de', 'yahoo.fr', 'yahoo.es', 'yahoo.it', 'ymail.com', 'rocketmail.com',
+  'aol.com', 'aim.com',
+  'icloud.com', 'me.com', 'mac.com',
+  'protonmail.com', 'protonmail.ch', 'proton.me', 'pm.me',
+  'tutanota.com', 'tutanota.de', 'tuta.io', 'tuta.com',
+  'zoho.com', 'zohomail.com',
+  'fastmail.com', 'fastmail.fm', 'hey.com', 'hushmail.com',
+  'mail.com', 'email.com', 'gmx.com', 'yandex.com',
+
+  // German-speaking
+  'gmx.de', 'gmx.net', 'gmx.at', 'gmx.ch', 'web.de', 't-online.de', 'freenet.de',
+  'posteo.de', 'mailbox.org', 'arcor.de', 'online.de', '1und1.de', 'bluewin.ch',
+
+  // French, Spanish, Italian
+  'orange.fr', 'wanadoo.fr', 'free.fr', 'sfr.fr', 'laposte.net',
+  'telefonica.net', 'terra.es',
+  'libero.it', 'virgilio.it', 'tiscali.it', 'alice.it',
+
+  // Eastern Europe and Russia
+  'seznam.cz', 'wp.pl', 'o2.pl', 'onet.pl', 'interia.pl',
+  'yandex.ru', 'mail.ru', 'bk.ru', 'inbox.ru', 'list.ru', 'rambler.ru',
+
+  // Asia
+  'qq.com', '163.com', '126.com', 'sina.com', 'naver.com', 'daum.net', 'yahoo.co.jp',
+
+  // ISP mailboxes
+  'comcast.net', 'verizon.net', 'att.net', 'sbcglobal.net', 'cox.net', 'btinternet.com', 'sky.com', 'virginmedia.com'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConsumerDomains;
+} else if (typeof window !== 'undefined') {
+  window.ConsumerDomains = ConsumerDomains;
+}
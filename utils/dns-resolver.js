@@ -0,0 +1,90 @@
+/**
+ * Avatar Card View - DNS Resolver
+ * DNS lookups over HTTPS (JSON API) for records WebExtensions cannot query directly
+ *
+ * The endpoint is configurable so a local stand-in server can answer queries
+ * during development. Any object exposing resolveSrv()/resolveTxt() can be
+ * used in place of this class.
+ */
+
+class DnsResolver {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || DnsResolver.DEFAULT_ENDPOINT;
+    this.timeout = options.timeout || 5000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  setEndpoint(endpoint) {
+    this.endpoint = endpoint || DnsResolver.DEFAULT_ENDPOINT;
+  }
+
+  // Raw query returning the answer data strings for the requested type
+  async query(name, type) {
+    const url = new URL(this.endpoint);
+    url.searchParams.set('name', name);
+    url.searchParams.set('type', type);
+
+    // The fetch function applies the timeout once the request is sent
+    const response = await this.fetch(url.toString(), {
+      headers: { accept: 'application/dns-json' },
+      timeout: this.timeout
+    });
+    if (!response.ok) {
+      throw new Error(`DNS query failed with HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    // Status 3 is NXDOMAIN, treat as an empty answer
+    if (result.Status !== 0 && result.Status !== 3) {
+      throw new Error(`DNS query for ${name} failed with status ${result.Status}`);
+    }
+
+    const typeCode = DnsResolver.TYPE_CODES[type];
+    return (result.Answer || [])
+      .filter(answer => !typeCode || answer.type === typeCode)
+      .map(answer => answer.data);
+  }
+
+  // SRV records sorted by priority (ascending) then weight (descending)
+  async resolveSrv(name) {
+    const records = await this.query(name, 'SRV');
+    return records
+      .map(data => {
+        const [priority, weight, port, target] = String(data).trim().split(/\s+/);
+        return {
+          priority: parseInt(priority, 10),
+          weight: parseInt(weight, 10),
+          port: parseInt(port, 10),
+          target: (target || '').replace(/\.$/, '')
+        };
+      })
+      .filter(record => record.target && !Number.isNaN(record.port))
+      .sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+  }
+
+  // TXT records with their character-strings joined
+  async resolveTxt(name) {
+    const records = await this.query(name, 'TXT');
+    return records.map(data => {
+      const text = String(data);
+      const chunks = text.match(/"((?:[^"\\]|\\.)*)"/g);
+      return chunks
+        ? chunks.map(chunk => chunk.slice(1, -1).replace(/\\(.)/g, '$1')).join('')
+        : text;
+    });
+  }
+}
+
+DnsResolver.DEFAULT_ENDPOINT = 'https://cloudflare-dns.com/dns-query';
+
+DnsResolver.TYPE_CODES = {
+  TXT: 16,
+  SRV: 33
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DnsResolver;
+} else if (typeof window !== 'undefined') {
+  window.DnsResolver = DnsResolver;
+}
@@ -0,0 +1,146 @@
+/**
+ * Avatar Card View - Domain Cache
+ * Remembers per-domain provider outcomes so every address on a domain shares them
+ *
+ * Entries are keyed by provider id and domain. A hit stores the avatar fields
+ * that do not depend on the address, with the image already inlined; a miss is stored as a negative entry with
+ * its own, usually shorter, lifetime. Entries are mirrored to IndexedDB when
+ * persistence is enabled.
+ */
+
+class DomainCache {
+  constructor(persistentStore = null) {
+    this.entries = new Map();
+    this.persistentStore = persistentStore;
+    this.persistenceEnabled = !!persistentStore;
+    this.ttl = 24 * 60 * 60 * 1000;
+    this.negativeTtl = 6 * 60 * 60 * 1000;
+  }
+
+  configure({ ttl, negativeTtl, persist }) {
+    if (ttl) this.ttl = ttl;
+    if (negativeTtl) this.negativeTtl = negativeTtl;
+    if (typeof persist === 'boolean') {
+      this.persistenceEnabled = persist && !!this.persistentStore;
+    }
+  }
+
+  key(providerId, domain) {
+    return `${providerId}:${domain}`;
+  }
+
+  isFresh(entry, now = Date.now()) {
+    return now - entry.timestamp < (entry.negative ? this.negativeTtl : this.ttl);
+  }
+
+  // Resolves to { avatar } for a hit, { avatar: null } for a known miss, or null if unknown
+  async get(providerId, domain) {
+    const key = this.key(providerId, domain);
+    let entry = this.entries.get(key);
+
+    if (!entry && this.persistenceEnabled) {
+      try {
+        const record = await this.persistentStore.get(key);
+        if (record) {
+          entry = { ...record.data, timestamp: record.timestamp };
+          this.entries.set(key, entry);
+        }
+      } catch (error) {
+        console.debug('Domain cache read failed for', key, error);
+      }
+    }
+
+    if (!entry) return null;
+    if (!this.isFresh(entry)) {
+      this.delete(providerId, domain);
+      return null;
+    }
+
+    return { avatar: entry.negative ? null : entry.avatar };
+  }
+
+  async set(providerId, domain, avatar) {
+    const key = this.key(providerId, domain);
+    const entry = {
+      providerId: providerId,
+      domain: domain,
+      negative: !avatar,
+      avatar: avatar ? this.stripAddress(avatar) : null,
+      timestamp: Date.now()
+    };
+    this.entries.set(key, entry);
+
+    if (this.persistenceEnabled) {
+      const { timestamp, ...data } = entry;
+      try {
+        await this.persistentStore.set(key, data, null, timestamp);
+      } catch (error) {
+        console.debug('Domain cache write failed for', key, error);
+      }
+    }
+  }
+
+  async delete(providerId, domain) {
+    const key = this.key(providerId, domain);
+    this.entries.delete(key);
+    if (this.persistenceEnabled) {
+      try {
+        await this.persistentStore.delete(key);
+      } catch (error) {
+        console.debug('Domain cache delete failed for', key, error);
+      }
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    if (this.persistentStore) {
+      try {
+        await this.persistentStore.clear();
+      } catch (error) {
+        console.debug('Domain cache clear failed:', error);
+      }
+    }
+  }
+
+  async prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (!this.isFresh(entry, now)) {
+        this.entries.delete(key);
+      }
+    }
+
+    if (this.persistenceEnabled) {
+      try {
+        await this.persistentStore.prune(this.ttl, record => record.data.negative && now - record.timestamp >= this.negativeTtl);
+      } catch (error) {
+        console.debug('Domain cache prune failed:', error);
+      }
+    }
+  }
+
+  getStats() {
+    let negative = 0;
+    this.entries.forEach(entry => {
+      if (entry.negative) negative++;
+    });
+    return {
+      domainEntries: this.entries.size - negative,
+      negativeEntries: negative
+    };
+  }
+
+  // Address-specific fields are filled in again for each sender
+  stripAddress(avatar) {
+    const { email, ...shared } = avatar;
+    return shared;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomainCache;
+} else if (typeof window !== 'undefined') {
+  window.DomainCache = DomainCache;
+}
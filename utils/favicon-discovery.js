@@ -0,0 +1,253 @@
+/**
+ * Avatar Card View - Favicon Discovery
+ * Finds the icons a site declares in its homepage markup and web app manifest
+ *
+ * Candidates come from <link rel="icon">, apple-touch-icon and mask-icon tags,
+ * the icons[] of the linked manifest, and the conventional /favicon.ico.
+ * The origin for a domain is configurable so a local HTTP stand-in can serve
+ * the pages under test. The optional request context given to discover() is
+ * passed through to the fetch function unchanged.
+ */
+
+class FaviconDiscovery {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.originFor = options.originFor || (domain => `https://${domain}`);
+    this.timeout = options.timeout || 5000;
+    this.maxHtmlLength = options.maxHtmlLength || 512 * 1024;
+  }
+
+  // All icon candidates for a domain, in declaration order, without duplicates
+  async discover(domain, context = null) {
+    if (!domain) return [];
+
+    const origin = this.originFor(domain);
+    const candidates = [];
+
+    try {
+      const page = await this.fetchText(`${origin}/`, 'text/html', context);
+      if (page) {
+        const { icons, manifestUrl } = this.parseHtml(page.text, page.url);
+        candidates.push(...icons);
+
+        if (manifestUrl) {
+          candidates.push(...(await this.discoverManifestIcons(manifestUrl, context)));
+        }
+      }
+    } catch (error) {
+      // A timed-out or cancelled homepage says nothing about the site; the
+      // caller must not remember the fallback for the domain
+      if (FaviconDiscovery.isInterrupted(error)) throw error;
+      console.debug('Favicon discovery failed for', domain, error);
+    }
+
+    candidates.push({
+      url: new URL('/favicon.ico', `${origin}/`).href,
+      sizes: [],
+      type: 'image/x-icon',
+      rel: 'icon',
+      source: 'default'
+    });
+
+    const seen = new Set();
+    return candidates.filter(candidate => {
+      if (seen.has(candidate.url)) return false;
+      seen.add(candidate.url);
+      return true;
+    });
+  }
+
+  async discoverManifestIcons(manifestUrl, context = null) {
+    try {
+      const manifest = await this.fetchText(manifestUrl, 'application/manifest+json, application/json', context);
+      if (!manifest) return [];
+      return this.parseManifest(JSON.parse(manifest.text), manifest.url);
+    } catch (error) {
+      if (FaviconDiscovery.isInterrupted(error)) throw error;
+      console.debug('Web app manifest could not be read:', manifestUrl, error);
+      return [];
+    }
+  }
+
+  // The fetch function applies the timeout once the request is sent
+  async fetchText(url, accept, context = null) {
+    const response = await this.fetch(url, {
+      headers: { accept },
+      credentials: 'omit',
+      redirect: 'follow',
+      timeout: this.timeout
+    }, context);
+    if (!response.ok) return null;
+
+    const text = await response.text();
+    return {
+      text: text.slice(0, this.maxHtmlLength),
+      url: response.url || url
+    };
+  }
+
+  // Timed out or cancelled (by the scheduler or an abort signal)
+  static isInterrupted(error) {
+    return !!error && (error.cancelled === true || error.timedOut === true ||
+      error.name === 'AbortError' || error.name === 'TimeoutError');
+  }
+
+  // Extract icon links and the manifest link from homepage markup
+  parseHtml(html, pageUrl) {
+    const links = this.extractLinks(html);
+    let baseUrl = pageUrl;
+    const base = links.find(link => link.tag === 'base' && link.href);
+    if (base) {
+      baseUrl = this.resolveUrl(base.href, pageUrl) || pageUrl;
+    }
+
+    const icons = [];
+    let manifestUrl = null;
+
+    links.forEach(link => {
+      if (link.tag !== 'link' || !link.href) return;
+
+      const rels = (link.rel || '').toLowerCase().split(/\s+/);
+      const url = this.resolveUrl(link.href, baseUrl);
+      if (!url) return;
+
+      if (rels.includes('manifest')) {
+        manifestUrl = manifestUrl || url;
+        return;
+      }
+
+      const rel = FaviconDiscovery.ICON_RELS.find(candidate => rels.includes(candidate));
+      if (!rel) return;
+
+      icons.push({
+        url: url,
+        sizes: this.parseSizes(link.sizes),
+        type: (link.type || this.guessType(url) || '').toLowerCase(),
+        rel: rel,
+        source: 'link'
+      });
+    });
+
+    return { icons, manifestUrl };
+  }
+
+  parseManifest(manifest, manifestUrl) {
+    if (!manifest || !Array.isArray(manifest.icons)) return [];
+
+    return manifest.icons
+      .filter(icon => icon && icon.src)
+      // Monochrome-only icons are masks, not displayable logos
+      .filter(icon => !icon.purpose || icon.purpose.split(/\s+/).some(purpose => purpose !== 'monochrome'))
+      .map(icon => {
+        const url = this.resolveUrl(icon.src, manifestUrl);
+        return url && {
+          url: url,
+          sizes: this.parseSizes(icon.sizes),
+          type: (icon.type || this.guessType(url) || '').toLowerCase(),
+          rel: 'manifest',
+          source: 'manifest'
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // <link> and <base> tags with their attributes, via DOMParser where available
+  extractLinks(html) {
+    if (typeof DOMParser !== 'undefined') {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      return Array.from(doc.querySelectorAll('link[href], base[href]'), element => ({
+        tag: element.tagName.toLowerCase(),
+        href: element.getAttribute('href'),
+        rel: element.getAttribute('rel'),
+        sizes: element.getAttribute('sizes'),
+        type: element.getAttribute('type')
+      }));
+    }
+
+    const links = [];
+    const tagPattern = /<(link|base)\b([^>]*)>/gi;
+    const attrPattern = /([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    let tag;
+    while ((tag = tagPattern.exec(html))) {
+      const attributes = { tag: tag[1].toLowerCase() };
+      let attr;
+      while ((attr = attrPattern.exec(tag[2]))) {
+        attributes[attr[1].toLowerCase()] = attr[2] ?? attr[3] ?? attr[4];
+      }
+      links.push(attributes);
+    }
+    return links;
+  }
+
+  // "16x16 32x32" -> [{ width, height }], "any" -> 'any'
+  parseSizes(sizes) {
+    if (!sizes) return [];
+    if (sizes.trim().toLowerCase() === 'any') return 'any';
+
+    return sizes
+      .split(/\s+/)
+      .map(size => size.toLowerCase().match(/^(\d+)x(\d+)$/))
+      .filter(Boolean)
+      .map(match => ({ width: parseInt(match[1], 10), height: parseInt(match[2], 10) }));
+  }
+
+  guessType(url) {
+    const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    return FaviconDiscovery.EXTENSION_TYPES[(extension || '').toLowerCase()] || null;
+  }
+
+  resolveUrl(href, baseUrl) {
+    try {
+      const url = new URL(href, baseUrl);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Candidates ordered by suitability for the given pixel size
+  static rankCandidates(candidates, size) {
+    const score = (candidate) => {
+      // Mask icons are single-color silhouettes
+      if (candidate.rel === 'mask-icon') return 0;
+      if (candidate.sizes === 'any' || candidate.type === 'image/svg+xml') return 1000;
+
+      const largest = Math.max(0, ...candidate.sizes.map(entry => entry.width));
+      if (largest === 0) {
+        // Undeclared size: apple-touch-icons are usually 180px
+        return candidate.rel.startsWith('apple-touch-icon') ? 500 : 100;
+      }
+      if (largest >= size) {
+        return 900 - Math.min(largest - size, 400);
+      }
+      return 100 + largest;
+    };
+
+    return [...candidates].sort((a, b) => score(b) - score(a));
+  }
+}
+
+FaviconDiscovery.ICON_RELS = [
+  'icon',
+  'apple-touch-icon',
+  'apple-touch-icon-precomposed',
+  'fluid-icon',
+  'mask-icon'
+];
+
+FaviconDiscovery.EXTENSION_TYPES = {
+  ico: 'image/x-icon',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FaviconDiscovery;
+} else if (typeof window !== 'undefined') {
+  window.FaviconDiscovery = FaviconDiscovery;
+}
@@ -0,0 +1,116 @@
+/**
+ * Avatar Card View - Hash Utilities
+ * MD5 and SHA-256 digests for avatar service lookups (Gravatar, Libravatar)
+ */
+
+class HashUtils {
+  // Normalize an email address the way Gravatar and Libravatar expect it
+  static normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+  }
+
+  // Encode a string as UTF-8 bytes
+  static toUtf8Bytes(str) {
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(str);
+    }
+    return Uint8Array.from(unescape(encodeURIComponent(str)), char => char.charCodeAt(0));
+  }
+
+  static toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // MD5 hex digest (RFC 1321). WebCrypto does not offer MD5, so it is computed here.
+  static md5(str) {
+    const input = HashUtils.toUtf8Bytes(str);
+
+    // Pad message: 0x80, zeros, then 64-bit little-endian bit length
+    const paddedLength = (((input.length + 8) >>> 6) + 1) << 6;
+    const bytes = new Uint8Array(paddedLength);
+    bytes.set(input);
+    bytes[input.length] = 0x80;
+    const bitLength = input.length * 8;
+    const view = new DataView(bytes.buffer);
+    view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xefcdab89;
+    let c0 = 0x98badcfe;
+    let d0 = 0x10325476;
+
+    const words = new Uint32Array(16);
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+      for (let i = 0; i < 16; i++) {
+        words[i] = view.getUint32(offset + i * 4, true);
+      }
+
+      let a = a0;
+      let b = b0;
+      let c = c0;
+      let d = d0;
+
+      for (let i = 0; i < 64; i++) {
+        let f;
+        let g;
+        if (i < 16) {
+          f = (b & c) | (~b & d);
+          g = i;
+        } else if (i < 32) {
+          f = (d & b) | (~d & c);
+          g = (5 * i + 1) % 16;
+        } else if (i < 48) {
+          f = b ^ c ^ d;
+          g = (3 * i + 5) % 16;
+        } else {
+          f = c ^ (b | ~d);
+          g = (7 * i) % 16;
+        }
+
+        const rotated = (a + f + HashUtils.MD5_K[i] + words[g]) | 0;
+        const shift = HashUtils.MD5_S[i];
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((rotated << shift) | (rotated >>> (32 - shift)))) | 0;
+      }
+
+      a0 = (a0 + a) | 0;
+      b0 = (b0 + b) | 0;
+      c0 = (c0 + c) | 0;
+      d0 = (d0 + d) | 0;
+    }
+
+    const digest = new DataView(new ArrayBuffer(16));
+    digest.setUint32(0, a0, true);
+    digest.setUint32(4, b0, true);
+    digest.setUint32(8, c0, true);
+    digest.setUint32(12, d0, true);
+    return HashUtils.toHex(new Uint8Array(digest.buffer));
+  }
+
+  // SHA-256 hex digest via WebCrypto
+  static async sha256(str) {
+    const buffer = await crypto.subtle.digest('SHA-256', HashUtils.toUtf8Bytes(str));
+    return HashUtils.toHex(new Uint8Array(buffer));
+  }
+}
+
+// Per-round shift amounts
+HashUtils.MD5_S = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// Integer part of abs(sin(i + 1)) * 2^32
+HashUtils.MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HashUtils;
+} else if (typeof window !== 'undefined') {
+  window.HashUtils = HashUtils;
+}
@@ -0,0 +1,76 @@
+/**
+ * Avatar Card View - Localization
+ * Access to the _locales message catalogs for every extension context
+ *
+ * Strings are looked up with browser.i18n in the user's Thunderbird
+ * language, with English as the default locale. Pages mark localizable text
+ * with data-i18n (text content) and data-i18n-placeholder, data-i18n-title or
+ * data-i18n-aria-label (attributes); their English text stays in the markup
+ * as the fallback. tools/check-locales.js verifies that every key used here
+ * exists in every catalog.
+ */
+
+class I18n {
+  // Message for key with $1, $2, ... filled from substitutions; the key itself
+  // when the catalog has no such message
+  static get(key, substitutions = []) {
+    const values = (Array.isArray(substitutions) ? substitutions : [substitutions]).map(String);
+    try {
+      if (typeof browser !== 'undefined' && browser.i18n) {
+        const message = browser.i18n.getMessage(key, values);
+        if (message) return message;
+      }
+    } catch (error) {
+      console.debug('Missing translation for', key, error);
+    }
+    return key;
+  }
+
+  static getLanguage() {
+    try {
+      if (typeof browser !== 'undefined' && browser.i18n) {
+        return browser.i18n.getUILanguage();
+      }
+    } catch (error) {
+      console.debug('UI language not available:', error);
+    }
+    return 'en';
+  }
+
+  // Replace marked text and attributes below root; returns how many elements
+  // were localized
+  static localizePage(root = document) {
+    let count = 0;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = I18n.get(element.dataset.i18n);
+      count++;
+    });
+
+    Object.entries(I18n.ATTRIBUTES).forEach(([dataKey, attribute]) => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, I18n.get(element.dataset[dataKey]));
+        count++;
+      });
+    });
+
+    if (root === document && document.documentElement) {
+      document.documentElement.lang = I18n.getLanguage();
+    }
+    return count;
+  }
+}
+
+// dataset key -> attribute it localizes
+I18n.ATTRIBUTES = {
+  i18nPlaceholder: 'placeholder',
+  i18nTitle: 'title',
+  i18nAriaLabel: 'aria-label'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+} else if (typeof window !== 'undefined') {
+  window.I18n = I18n;
+}
@@ -0,0 +1,173 @@
+/**
+ * Avatar Card View - Image Inliner
+ * Downloads resolved avatar images once and turns them into data URLs
+ *
+ * Content scripts only ever receive data URLs, so the Thunderbird UI never
+ * contacts an avatar host itself. Raster images are checked by their magic
+ * bytes and scaled to avatarSize plus a 2x variant for HiDPI screens; SVG is
+ * passed through SvgSanitizer and kept as a vector.
+ */
+
+class ImageInliner {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.createCanvas = options.createCanvas || ImageInliner.createCanvas;
+    this.maxBytes = options.maxBytes || ImageInliner.MAX_BYTES;
+  }
+
+  // Returns the avatar with url/srcset replaced by data URLs, or null when the
+  // image cannot be downloaded or is not an image at all
+  async inline(avatar, size, request = {}) {
+    if (!avatar || !avatar.url) return avatar;
+
+    // SVG drawn by the extension itself (initials, list avatars) is final;
+    // any other SVG, uploaded or from a vCard included, is sanitized below
+    if (avatar.generated === true && avatar.url.startsWith('data:image/svg+xml')) {
+      return avatar;
+    }
+
+    const blob = await this.download(avatar.url, request);
+    if (!blob) return null;
+
+    const bytes = new Uint8Array(await blob.slice(0, 512).arrayBuffer());
+    const type = ImageInliner.sniffType(bytes);
+    if (!type) {
+      console.debug('Not an image, dropping avatar from', avatar.url);
+      return null;
+    }
+
+    const inlined = {
+      ...avatar,
+      sourceUrl: avatar.url.startsWith('data:') ? avatar.sourceUrl || null : avatar.url,
+      mimeType: type
+    };
+
+    if (type === 'image/svg+xml') {
+      const svg = SvgSanitizer.sanitize(await blob.text());
+      if (!svg) return null;
+      return { ...inlined, url: SvgSanitizer.toDataUrl(svg) };
+    }
+
+    const image = await this.decode(blob);
+    const url = this.rasterize(image, size);
+    const hiDpiUrl = this.rasterize(image, size * 2);
+    if (image.close) image.close();
+
+    return { ...inlined, url, srcset: `${url} 1x, ${hiDpiUrl} 2x` };
+  }
+
+  async download(url, request) {
+    // data: URLs (e.g. address book photos) are decoded without the scheduler
+    const response = url.startsWith('data:')
+      ? await fetch(url)
+      : await this.fetch(url, { credentials: 'omit', cache: 'default' }, request);
+    if (!response.ok) return null;
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > this.maxBytes) return null;
+
+    const blob = await response.blob();
+    return blob.size > 0 && blob.size <= this.maxBytes ? blob : null;
+  }
+
+  async decode(blob) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        return await createImageBitmap(blob);
+      } catch (error) {
+        // Formats like ICO may only decode through an <img>
+      }
+    }
+
+    const objectUrl = URL.createObjectURL(blob);
+    try {
+      const image = new Image();
+      image.src = objectUrl;
+      await image.decode();
+      return image;
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  }
+
+  // Fit the image into a transparent size x size square, keeping its aspect ratio
+  rasterize(image, size) {
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    const scale = Math.min(size / sourceWidth, size / sourceHeight);
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const canvas = this.createCanvas(size);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, Math.floor((size - width) / 2), Math.floor((size - height) / 2), width, height);
+
+    return canvas.toDataURL('image/png');
+  }
+
+  static createCanvas(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+  }
+
+  // Blob for an image data URL, decoded locally so that nothing is fetched.
+  // The bytes must sniff as an image and SVG is sanitized; null otherwise.
+  static dataUrlToBlob(url) {
+    const match = /^data:image\/[^,]*?(;base64)?,/i.exec(typeof url === 'string' ? url : '');
+    if (!match) return null;
+
+    let bytes;
+    try {
+      const payload = url.slice(match[0].length);
+      bytes = match[1]
+        ? Uint8Array.from(atob(payload), char => char.charCodeAt(0))
+        : new TextEncoder().encode(decodeURIComponent(payload));
+    } catch (error) {
+      return null;
+    }
+    if (bytes.length === 0 || bytes.length > ImageInliner.MAX_BYTES) return null;
+
+    const type = ImageInliner.sniffType(bytes.subarray(0, 512));
+    if (!type) return null;
+
+    if (type === 'image/svg+xml') {
+      const svg = SvgSanitizer.sanitize(new TextDecoder().decode(bytes));
+      return svg ? new Blob([svg], { type }) : null;
+    }
+    return new Blob([bytes], { type });
+  }
+
+  // Identify an image by its leading bytes rather than the declared content type
+  static sniffType(bytes) {
+    const startsWith = (...signature) => signature.every((byte, index) => bytes[index] === byte);
+
+    if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+    if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+    if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+    if (startsWith(0x52, 0x49, 0x46, 0x46) && bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) {
+      return 'image/webp';
+    }
+    if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+    if (startsWith(0x42, 0x4d)) return 'image/bmp';
+
+    const text = new TextDecoder().decode(bytes).replace(/^﻿/, '').trimStart();
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+      return 'image/svg+xml';
+    }
+    return null;
+  }
+}
+
+// Largest image accepted, downloaded or imported
+ImageInliner.MAX_BYTES = 2 * 1024 * 1024;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageInliner;
+} else if (typeof window !== 'undefined') {
+  window.ImageInliner = ImageInliner;
+}
@@ -0,0 +1,280 @@
+/**
+ * Avatar Card View - Initials Renderer
+ * Draws generated avatars (initials or a role icon) as SVG
+ *
+ * Appearance comes from settings: shape, palette (business colors, the
+ * current Thunderbird theme or user-defined colors), a light or dark variant,
+ * an optional badge with the sender's domain, and the font. With
+ * businessColorScheme off the background is a single flat color instead of the
+ * gradient business style.
+ */
+
+class InitialsRenderer {
+  constructor() {
+    // Accent colors of the active Thunderbird theme, if it defines any
+    this.themeColors = [];
+    this.themeIsDark = null;
+    this.listeners = [];
+  }
+
+  // Follow the Thunderbird theme; listener runs when it changes
+  async attachTheme(listener = null) {
+    if (listener) this.listeners.push(listener);
+    if (typeof browser === 'undefined' || !browser.theme) return false;
+
+    try {
+      this.setTheme(await browser.theme.getCurrent());
+    } catch (error) {
+      console.debug('Current theme could not be read:', error);
+    }
+
+    if (browser.theme.onUpdated) {
+      browser.theme.onUpdated.addListener(({ theme }) => {
+        this.setTheme(theme);
+        this.listeners.forEach(callback => callback());
+      });
+    }
+    return true;
+  }
+
+  setTheme(theme) {
+    const colors = (theme && theme.colors) || {};
+    this.themeColors = InitialsRenderer.THEME_ACCENT_KEYS
+      .map(key => InitialsRenderer.parseColor(colors[key]))
+      .filter((color, index, list) => color && list.indexOf(color) === index);
+
+    const frame = InitialsRenderer.parseColor(colors.frame || colors.accentcolor);
+    this.themeIsDark = frame ? InitialsRenderer.luminance(frame) < 0.4 : null;
+  }
+
+  // avatar: { initials } or { role }, plus seed (what picks the color), domain
+  // and stacked (mailing lists)
+  render(avatar, settings) {
+    const size = settings.avatarSize || 64;
+    const dark = this.isDark(settings);
+    const colors = this.pickColors(avatar.seed, settings, dark);
+    const business = settings.businessColorScheme !== false;
+    const shape = InitialsRenderer.SHAPES[settings.initialsShape] || InitialsRenderer.SHAPES.circle;
+
+    const defs = business ? `
+        <defs>
+          <linearGradient id="businessGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+            <stop offset="0%" stop-color="${colors.primary}" />
+            <stop offset="100%" stop-color="${colors.secondary}" />
+          </linearGradient>
+          <filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">
+            <feDropShadow dx="1" dy="2" stdDeviation="2" flood-color="#000000" flood-opacity="0.2"/>
+          </filter>
+        </defs>` : '';
+    const background = business
+      ? shape(`fill="url(#businessGrad)" stroke="${colors.border}" stroke-width="1.5" filter="url(#shadow)"`)
+      : shape(`fill="${colors.primary}"`);
+
+    const content = avatar.role
+      ? this.renderIcon(avatar.role, colors.text)
+      : this.renderText(avatar.initials, colors.text, settings.initialsFont, business);
+    const badge = settings.initialsDomainBadge && avatar.domain
+      ? this.renderDomainBadge(avatar.domain, colors, settings.initialsFont)
+      : '';
+
+    // Lists: a second, faded shape behind the first reads as a group
+    const body = avatar.stacked
+      ? `<g transform="translate(9.3 0) scale(0.85)" opacity="0.45">${background}</g>
+        <g transform="translate(0 9.3) scale(0.85)">${background}${content}</g>`
+      : `${background}
+        ${content}`;
+
+    return `
+      <svg width="${size}" height="${size}" viewBox="0 0 64 64" xmlns="http://www.w3.org/2000/svg">${defs}
+        ${body}${badge}
+      </svg>
+    `.trim();
+  }
+
+  renderText(initials, color, font, business) {
+    const length = InitialsGenerator.graphemes(initials).length;
+    const fontSize = InitialsRenderer.FONT_SIZES[Math.min(length, 3) - 1] || 18;
+    const weight = business ? 600 : 700;
+    return `<text x="32" y="${32 + fontSize * 0.44}" text-anchor="middle" fill="${color}" font-family="${InitialsRenderer.getFontFamily(font)}" font-size="${fontSize}" font-weight="${weight}" letter-spacing="0.5px">${InitialsGenerator.escapeXml(initials)}</text>`;
+  }
+
+  renderIcon(role, color) {
+    const icon = InitialsRenderer.ROLE_ICONS[role] || InitialsRenderer.ROLE_ICONS.info;
+    return `<g fill="none" stroke="${color}" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">${icon}</g>`;
+  }
+
+  // Small disc in the lower right corner with the first letter of the domain
+  renderDomainBadge(domain, colors, font) {
+    const letter = InitialsGenerator.escapeXml((InitialsGenerator.graphemes(domain)[0] || '?').toUpperCase());
+    return `
+        <circle cx="51" cy="51" r="11" fill="${colors.badge}" stroke="${colors.border}" stroke-width="1.5"/>
+        <text x="51" y="55" text-anchor="middle" fill="${colors.badgeText}" font-family="${InitialsRenderer.getFontFamily(font)}" font-size="11" font-weight="700">${letter}</text>`;
+  }
+
+  isDark(settings) {
+    if (settings.initialsColorMode === 'dark') return true;
+    if (settings.initialsColorMode === 'light') return false;
+    if (this.themeIsDark !== null) return this.themeIsDark;
+    return typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches;
+  }
+
+  // { primary, secondary, border, text, badge, badgeText } for a seed
+  pickColors(seed, settings, dark) {
+    const palette = this.getPalette(settings);
+    const hash = InitialsRenderer.hash(seed);
+    const scheme = palette.length > 0
+      ? InitialsRenderer.toScheme(palette[hash % palette.length])
+      : InitialsRenderer.toScheme(InitialsRenderer.hslToHex(hash % 360, 0.6, 0.65));
+
+    if (!dark) {
+      return { ...scheme, text: '#ffffff', badge: '#ffffff', badgeText: scheme.border };
+    }
+    // Dimmer backgrounds sit better next to dark UI; the text stays light
+    return {
+      primary: InitialsRenderer.mix(scheme.primary, '#111827', 0.35),
+      secondary: InitialsRenderer.mix(scheme.secondary, '#111827', 0.45),
+      border: InitialsRenderer.mix(scheme.border, '#111827', 0.35),
+      text: '#f3f4f6',
+      badge: '#1f2937',
+      badgeText: '#f3f4f6'
+    };
+  }
+
+  // Base colors to choose from; empty means "any hue" (simple style)
+  getPalette(settings) {
+    if (settings.initialsPalette === 'custom') {
+      const custom = (settings.initialsCustomColors || []).map(InitialsRenderer.parseColor).filter(Boolean);
+      if (custom.length > 0) return custom;
+    }
+    if (settings.initialsPalette === 'theme' && this.themeColors.length > 0) {
+      return this.themeColors;
+    }
+    return settings.businessColorScheme !== false ? InitialsRenderer.BUSINESS_PALETTE : [];
+  }
+
+  // A single color becomes a scheme with a lighter gradient end and a darker border
+  static toScheme(entry) {
+    if (typeof entry !== 'string') return entry;
+    return {
+      primary: entry,
+      secondary: InitialsRenderer.mix(entry, '#ffffff', 0.3),
+      border: InitialsRenderer.mix(entry, '#000000', 0.15)
+    };
+  }
+
+  static getFontFamily(font) {
+    return InitialsRenderer.FONTS[font] || InitialsRenderer.FONTS.system;
+  }
+
+  static hash(seed) {
+    const input = seed || 'default';
+    let hash = 0;
+    for (let i = 0; i < input.length; i++) {
+      hash = ((hash << 5) - hash) + input.charCodeAt(i);
+      hash = hash & hash;
+    }
+    return Math.abs(hash);
+  }
+
+  // "#abc", "#aabbcc", "rgb(1, 2, 3)" -> "#rrggbb"; null for anything else
+  static parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const color = value.trim().toLowerCase();
+
+    let match = color.match(/^#([0-9a-f]{3})$/);
+    if (match) {
+      return `#${match[1].split('').map(digit => digit + digit).join('')}`;
+    }
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+
+    match = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+    if (match) {
+      return `#${match.slice(1, 4).map(part => Math.min(255, Number(part)).toString(16).padStart(2, '0')).join('')}`;
+    }
+    return null;
+  }
+
+  static toRgb(hex) {
+    return [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+  }
+
+  // Blend color a towards b by amount (0..1)
+  static mix(a, b, amount) {
+    const from = InitialsRenderer.toRgb(a);
+    const to = InitialsRenderer.toRgb(b);
+    return `#${from.map((channel, index) => Math.round(channel + (to[index] - channel) * amount)
+      .toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  // Relative luminance, 0 (black) to 1 (white)
+  static luminance(hex) {
+    const [r, g, b] = InitialsRenderer.toRgb(hex).map(channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  static hslToHex(hue, saturation, lightness) {
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+    const m = lightness - chroma / 2;
+    const [r, g, b] = hue < 60 ? [chroma, x, 0] : hue < 120 ? [x, chroma, 0] : hue < 180 ? [0, chroma, x]
+      : hue < 240 ? [0, x, chroma] : hue < 300 ? [x, 0, chroma] : [chroma, 0, x];
+    return `#${[r, g, b].map(channel => Math.round((channel + m) * 255).toString(16).padStart(2, '0')).join('')}`;
+  }
+}
+
+// Background shape for the given attributes
+InitialsRenderer.SHAPES = {
+  circle: attributes => `<circle cx="32" cy="32" r="30" ${attributes}/>`,
+  rounded: attributes => `<rect x="2" y="2" width="60" height="60" rx="14" ${attributes}/>`,
+  square: attributes => `<rect x="2" y="2" width="60" height="60" ${attributes}/>`
+};
+
+InitialsRenderer.FONTS = {
+  system: "-apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif",
+  serif: "Georgia, 'Times New Roman', serif",
+  rounded: "'SF Pro Rounded', Nunito, 'Varela Round', system-ui, sans-serif",
+  monospace: "ui-monospace, 'SF Mono', Menlo, Consolas, monospace"
+};
+
+// By number of graphemes: one, two, three
+InitialsRenderer.FONT_SIZES = [24, 18, 14];
+
+// Theme colors that make good avatar backgrounds, most distinctive first
+InitialsRenderer.THEME_ACCENT_KEYS = ['tab_line', 'popup_highlight', 'toolbar_field_highlight', 'button_background_active', 'sidebar_highlight'];
+
+InitialsRenderer.BUSINESS_PALETTE = [
+  { primary: '#1e40af', secondary: '#3b82f6', border: '#1d4ed8' }, // Professional Blue
+  { primary: '#047857', secondary: '#10b981', border: '#059669' }, // Corporate Green
+  { primary: '#7c2d12', secondary: '#ea580c', border: '#c2410c' }, // Business Orange
+  { primary: '#581c87', secondary: '#8b5cf6', border: '#7c3aed' }, // Executive Purple
+  { primary: '#374151', secondary: '#6b7280', border: '#4b5563' }, // Corporate Gray
+  { primary: '#b91c1c', secondary: '#ef4444', border: '#dc2626' }, // Executive Red
+  { primary: '#0f766e', secondary: '#14b8a6', border: '#0d9488' }, // Teal Corporate
+  { primary: '#92400e', secondary: '#f59e0b', border: '#d97706' }  // Gold Business
+];
+
+// Stroked glyphs drawn on the 64x64 badge
+InitialsRenderer.ROLE_ICONS = {
+  // Envelope crossed out
+  noreply: '<rect x="18" y="22" width="28" height="20" rx="2"/><path d="M18 24l14 10 14-10"/><path d="M16 46L48 18"/>',
+  // Question mark
+  support: '<path d="M26 26a6 6 0 1 1 9 5c-2 1.5-3 3-3 5"/><circle cx="32" cy="43" r="0.5" stroke-width="3.5"/>',
+  // Envelope
+  info: '<rect x="18" y="22" width="28" height="20" rx="2"/><path d="M18 24l14 10 14-10"/>',
+  // Receipt
+  billing: '<path d="M22 16h20v32l-4-3-3 3-3-3-3 3-3-3-4 3z"/><path d="M27 25h10M27 31h10M27 37h6"/>',
+  // Bell
+  notifications: '<path d="M22 40h20l-3-4v-8a7 7 0 0 0-14 0v8z"/><path d="M29 44a3 3 0 0 0 6 0"/>',
+  // Shield with check mark
+  admin: '<path d="M32 16l13 5v10c0 9-6 15-13 18-7-3-13-9-13-18V21z"/><path d="M26 32l4 4 8-8"/>'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InitialsRenderer;
+} else if (typeof window !== 'undefined') {
+  window.InitialsRenderer = InitialsRenderer;
+}
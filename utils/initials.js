@@ -0,0 +1,130 @@
+/**
+ * Avatar Card View - Initials
+ * Initials and role detection for generated avatars
+ *
+ * Works on grapheme clusters rather than UTF-16 code units, so accented
+ * letters, emoji sequences and surrogate pairs stay intact. The display name
+ * ("Jane Doe <jane@example.com>") is preferred over the local part, and role
+ * addresses such as noreply@ or support@ are reported as a role instead.
+ */
+
+class InitialsGenerator {
+  // Initials for a sender: { initials, source: 'name' | 'address' } or
+  // { role } for role addresses
+  static forSender(email, displayName = null) {
+    const localPart = String(email || '').split('@')[0].replace(/\+.*$/, '').toLowerCase();
+
+    const role = InitialsGenerator.getRole(localPart);
+    if (role) return { role };
+
+    const fromName = InitialsGenerator.fromName(displayName, email);
+    if (fromName) return { initials: fromName, source: 'name' };
+
+    return { initials: InitialsGenerator.fromLocalPart(localPart), source: 'address' };
+  }
+
+  // "Jane Doe" -> "JD", "Doe, Jane" -> "JD", "山田太郎" -> "山", "Иван Петров" -> "ИП"
+  static fromName(displayName, email = null) {
+    let name = String(displayName || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+      .replace(/["'`]/g, '')
+      .trim();
+    // A display name that is just the address tells us nothing new
+    if (!name || name.includes('@') || (email && name.toLowerCase() === String(email).toLowerCase())) {
+      return null;
+    }
+
+    // "Last, First" as written by many directories
+    const comma = name.match(/^([^,]+),\s*([^,]+)$/);
+    if (comma) {
+      name = `${comma[2]} ${comma[1]}`;
+    }
+
+    const words = name.split(/[\s,;:/|·•_.-]+/u).filter(Boolean);
+    const lettered = words.filter(word => /^[\p{L}\p{N}]/u.test(word));
+
+    // Only emoji or symbols: show the first one as it is
+    if (lettered.length === 0) {
+      const first = InitialsGenerator.graphemes(words[0] || '')[0];
+      return first && /\p{Extended_Pictographic}/u.test(first) ? first : null;
+    }
+
+    // Han, Kana and Hangul names are written without spaces; one character reads best
+    if (InitialsGenerator.CJK_PATTERN.test(lettered[0])) {
+      return InitialsGenerator.graphemes(lettered[0])[0];
+    }
+
+    const picked = lettered.length > 1 ? [lettered[0], lettered[lettered.length - 1]] : [lettered[0]];
+    const letters = picked.map(word => InitialsGenerator.graphemes(word)[0].toUpperCase());
+
+    // Joining scripts would otherwise render the letters as one connected word
+    const separator = InitialsGenerator.JOINING_PATTERN.test(letters.join('')) ? '\u200c' : '';
+    return letters.join(separator);
+  }
+
+  // Without a display name: "jane.doe" -> "JD", "jdoe" -> "JD", "j" -> "JJ"
+  static fromLocalPart(localPart) {
+    const cleaned = String(localPart || '').replace(/\d+$/, '') || String(localPart || '');
+    const parts = cleaned.split(/[._-]+/).filter(Boolean);
+
+    if (parts.length > 1) {
+      return parts.slice(0, 2).map(part => InitialsGenerator.graphemes(part)[0].toUpperCase()).join('');
+    }
+
+    const graphemes = InitialsGenerator.graphemes(parts[0] || cleaned || '?');
+    if (graphemes.length === 1) {
+      return graphemes[0].toUpperCase().repeat(2);
+    }
+    return graphemes.slice(0, 2).join('').toUpperCase();
+  }
+
+  // Role key for addresses that do not belong to a person, or null
+  static getRole(localPart) {
+    const normalized = String(localPart || '').toLowerCase().replace(/\+.*$/, '').replace(/[^a-z]/g, '');
+    if (!normalized) return null;
+
+    const entry = Object.entries(InitialsGenerator.ROLES)
+      .find(([, names]) => names.includes(normalized));
+    return entry ? entry[0] : null;
+  }
+
+  static graphemes(text) {
+    const value = String(text || '');
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(value), part => part.segment);
+    }
+    // Older engines: at least keep surrogate pairs together
+    return Array.from(value);
+  }
+
+  static escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&apos;'
+    })[char]);
+  }
+}
+
+// Local parts (letters only, lowercase) that name a function rather than a person
+InitialsGenerator.ROLES = {
+  noreply: ['noreply', 'donotreply', 'mailerdaemon', 'postmaster', 'bounce', 'bounces'],
+  support: ['support', 'help', 'helpdesk', 'service', 'customerservice', 'customercare', 'care'],
+  info: ['info', 'contact', 'hello', 'office', 'team', 'mail', 'enquiries', 'inquiries'],
+  billing: ['billing', 'invoice', 'invoices', 'accounts', 'accounting', 'payments', 'finance', 'receipts'],
+  notifications: ['notifications', 'notification', 'notify', 'alerts', 'alert', 'updates', 'news', 'newsletter'],
+  admin: ['admin', 'administrator', 'webmaster', 'hostmaster', 'security', 'abuse', 'root', 'it']
+};
+
+InitialsGenerator.CJK_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+InitialsGenerator.JOINING_PATTERN = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Nko}\p{Script=Mongolian}]/u;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InitialsGenerator;
+} else if (typeof window !== 'undefined') {
+  window.InitialsGenerator = InitialsGenerator;
+}
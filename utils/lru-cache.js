@@ -0,0 +1,143 @@
+/**
+ * Avatar Card View - LRU Cache
+ * In-memory avatar cache bounded by entry count and by an estimated byte size
+ *
+ * Reads move an entry to the most recently used end, so the avatars of busy
+ * correspondents stay while one-off senders are evicted first. Inlined images
+ * make entries range from a few hundred bytes to tens of kilobytes, which is
+ * why the memory budget is enforced alongside the entry cap.
+ */
+
+class LruCache {
+  constructor(options = {}) {
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.maxEntries = options.maxEntries || 200;
+    this.maxBytes = options.maxBytes || 8 * 1024 * 1024;
+    this.sizeOf = options.sizeOf || LruCache.estimateSize;
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  // Returns { value, timestamp, bytes, hits, lastAccess } and marks it as
+  // recently used
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    entry.lastAccess = Date.now();
+    return entry;
+  }
+
+  // Like get() without touching recency
+  peek(key) {
+    return this.entries.get(key);
+  }
+
+  // Returns false when the value alone exceeds the memory budget
+  set(key, value, timestamp = Date.now()) {
+    this.delete(key);
+
+    const bytes = this.sizeOf(value);
+    if (bytes > this.maxBytes) return false;
+
+    this.entries.set(key, { value, timestamp, bytes, hits: 0, lastAccess: Date.now() });
+    this.bytes += bytes;
+    this.evict();
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  // Drop entries older than maxAge; returns how many were removed
+  prune(maxAge) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (now - entry.timestamp > maxAge) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  configure({ maxEntries, maxBytes } = {}) {
+    if (maxEntries > 0) this.maxEntries = maxEntries;
+    if (maxBytes > 0) this.maxBytes = maxBytes;
+    this.evict();
+  }
+
+  // Remove least recently used entries until both limits hold
+  evict() {
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldest = this.entries.keys().next().value;
+      this.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  // Per-entry size and age, most recently used first
+  report() {
+    const now = Date.now();
+    return Array.from(this.entries, ([key, entry]) => ({
+      key,
+      bytes: entry.bytes,
+      age: now - entry.timestamp,
+      idle: now - entry.lastAccess,
+      hits: entry.hits
+    })).reverse();
+  }
+
+  // Strings are counted at two bytes per character, the worst case for
+  // JavaScript engines; data URLs dominate the total
+  static estimateSize(value) {
+    if (value === null || value === undefined) return 8;
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value !== 'object') return 8;
+
+    return Object.entries(value).reduce(
+      (total, [key, item]) => total + key.length * 2 + LruCache.estimateSize(item),
+      Array.isArray(value) ? 16 : 32
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LruCache;
+} else if (typeof window !== 'undefined') {
+  window.LruCache = LruCache;
+}
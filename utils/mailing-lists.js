@@ -0,0 +1,131 @@
+/**
+ * Avatar Card View - Mailing Lists
+ * List-Id / List-Post parsing and the list addresses seen so far
+ *
+ * A message carrying list headers is list traffic, but only senders that are
+ * the list itself get a list avatar: the posting address from List-Post, or
+ * an address spelled like the List-Id ("dev@lists.example.org" for
+ * "<dev.lists.example.org>"). Lists that rewrite From show the poster in the
+ * display name instead ("Jane Doe via Dev"), which is what the poster badge
+ * is taken from.
+ *
+ * List headers are only read from displayed messages, so list addresses are
+ * remembered in storage.local ("mailingListSenders") to keep their avatar
+ * across restarts and cache refreshes.
+ */
+
+class MailingLists {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    // Address -> { id, name }, least recently seen first
+    this.senders = new Map();
+  }
+
+  async load() {
+    try {
+      const stored = await browser.storage.local.get(MailingLists.STORAGE_KEY);
+      const entries = stored[MailingLists.STORAGE_KEY];
+      this.senders = new Map(Array.isArray(entries) ? entries.slice(-this.maxEntries) : []);
+    } catch (error) {
+      console.debug('Mailing list senders could not be loaded:', error);
+    }
+    return this.senders.size;
+  }
+
+  // List the address posts as, or null if it is not (or no longer) a list;
+  // returns true when that changed
+  remember(email, list) {
+    const address = String(email || '').trim().toLowerCase();
+    const previous = this.senders.get(address) || null;
+
+    if (!list) {
+      if (!previous) return false;
+      this.senders.delete(address);
+      this.persist();
+      return true;
+    }
+
+    const entry = { id: list.id, name: list.name || null };
+    this.senders.delete(address);
+    this.senders.set(address, entry);
+    if (this.senders.size > this.maxEntries) {
+      this.senders.delete(this.senders.keys().next().value);
+    }
+    const changed = !previous || previous.id !== entry.id || previous.name !== entry.name;
+    if (changed) this.persist();
+    return changed;
+  }
+
+  get(email) {
+    return this.senders.get(String(email || '').trim().toLowerCase()) || null;
+  }
+
+  persist() {
+    browser.storage.local.set({ [MailingLists.STORAGE_KEY]: Array.from(this.senders) }).catch(error => {
+      console.debug('Mailing list senders could not be saved:', error);
+    });
+  }
+
+  // headers: lowercase header name -> first value; { id, name, post, isSender } or null
+  static fromHeaders(email, headers) {
+    const listId = MailingLists.parseListId(headers['list-id']);
+    if (!listId) return null;
+
+    const post = MailingLists.parseListPost(headers['list-post']);
+    const address = String(email || '').trim().toLowerCase();
+    return {
+      id: listId.id,
+      name: listId.name,
+      post,
+      isSender: address === post || address.replace('@', '.') === listId.id
+    };
+  }
+
+  // "Dev List <dev.lists.example.org>" -> { id: 'dev.lists.example.org', name: 'Dev List' }
+  static parseListId(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const match = text.match(/^(.*?)<([^<>\s]+)>\s*$/);
+    const id = (match ? match[2] : text).trim().toLowerCase();
+    if (!/^[^\s@]+\.[^\s@]+$/.test(id)) return null;
+
+    const name = match ? match[1].trim().replace(/^"(.*)"$/, '$1').trim() : '';
+    return { id, name: name || null };
+  }
+
+  // "<mailto:dev@lists.example.org>" -> "dev@lists.example.org"; null for "NO"
+  // (announcement lists) or a web form
+  static parseListPost(value) {
+    const match = String(value || '').match(/<mailto:([^<>?\s]+@[^<>?\s]+)[^<>]*>/i);
+    return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+  }
+
+  // Human name of a list: the List-Id phrase, else its first label
+  static getName(list) {
+    return list.name || list.id.split('.')[0];
+  }
+
+  // Initials for the list avatar: "Dev List" -> "DL", "<rust-users.example.org>" -> "RU"
+  static getInitials(list) {
+    if (list.name) {
+      const initials = InitialsGenerator.fromName(list.name);
+      if (initials) return initials;
+    }
+    return InitialsGenerator.fromLocalPart(list.id.split('.')[0]);
+  }
+
+  // Poster in a rewritten From: "'Jane Doe' via Dev" -> "Jane Doe"
+  static getPosterName(displayName) {
+    const match = String(displayName || '').match(/^\s*['"]?(.+?)['"]?\s+via\s+\S.*$/i);
+    return match ? match[1].trim() : null;
+  }
+}
+
+MailingLists.STORAGE_KEY = 'mailingListSenders';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MailingLists;
+} else if (typeof window !== 'undefined') {
+  window.MailingLists = MailingLists;
+}
@@ -0,0 +1,180 @@
+/**
+ * Avatar Card View - Message Hints
+ * Per-sender facts taken from the headers of displayed messages
+ *
+ * Content scripts only know an address, not the message it came from, so the
+ * background watches messageDisplay and remembers what the sender's latest
+ * message said about itself (BIMI headers, whether it passed DMARC, the
+ * mailing list it came through).
+ */
+
+class MessageHintStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    // How long a lookup waits for a message that is still being read
+    this.waitTimeout = options.waitTimeout || 1500;
+    this.hints = new Map();
+    this.pending = new Map();
+    this.listeners = [];
+  }
+
+  // Start recording hints for every message shown in a tab, once ready has
+  // settled
+  attach(ready = Promise.resolve()) {
+    if (typeof browser === 'undefined' || !browser.messageDisplay || !browser.messages) {
+      return false;
+    }
+
+    const display = browser.messageDisplay;
+    if (display.onMessagesDisplayed) {
+      // Thunderbird 115+ reports every message of a multi-selection
+      display.onMessagesDisplayed.addListener(async (tab, messages) => {
+        await ready;
+        messages.forEach(message => this.ingest(message));
+      });
+    } else if (display.onMessageDisplayed) {
+      display.onMessageDisplayed.addListener(async (tab, message) => {
+        await ready;
+        this.ingest(message);
+      });
+    }
+    return true;
+  }
+
+  // Listener receives the hints whenever a sender's DMARC result or mailing
+  // list changes
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  async ingest(messageHeader) {
+    const email = MessageHintStore.extractAddress(messageHeader && messageHeader.author);
+    if (!email) return null;
+
+    const read = browser.messages.getFull(messageHeader.id)
+      .then(full => this.record(email, MessageHintStore.parseHeaders(email, full.headers || {})))
+      .catch(error => {
+        console.debug('Could not read headers of message', messageHeader.id, error);
+        return null;
+      });
+
+    this.pending.set(email, read);
+    try {
+      return await read;
+    } finally {
+      if (this.pending.get(email) === read) {
+        this.pending.delete(email);
+      }
+    }
+  }
+
+  record(email, hints) {
+    const previous = this.hints.get(email);
+
+    // Re-insert so the Map stays in least-recently-seen order
+    this.hints.delete(email);
+    this.hints.set(email, hints);
+    if (this.hints.size > this.maxEntries) {
+      this.hints.delete(this.hints.keys().next().value);
+    }
+
+    const listOf = entry => (entry && entry.list ? entry.list.id : null);
+    if (!previous || previous.dmarcPass !== hints.dmarcPass || previous.bimiPass !== hints.bimiPass || listOf(previous) !== listOf(hints)) {
+      this.listeners.forEach(listener => {
+        try {
+          listener(hints);
+        } catch (error) {
+          console.debug('Message hint listener failed:', error);
+        }
+      });
+    }
+    return hints;
+  }
+
+  // Hints for the sender's latest displayed message, or null
+  async get(email) {
+    const key = (email || '').trim().toLowerCase();
+    const pending = this.pending.get(key);
+    if (pending) {
+      let timer;
+      await Promise.race([
+        pending,
+        new Promise(resolve => { timer = setTimeout(resolve, this.waitTimeout); })
+      ]);
+      clearTimeout(timer);
+    }
+    return this.hints.get(key) || null;
+  }
+
+  clear() {
+    this.hints.clear();
+  }
+
+  // "Jane Doe <jane@example.com>" -> "jane@example.com"
+  static extractAddress(author) {
+    if (!author) return null;
+    const match = String(author).match(/<([^<>\s]+@[^<>\s]+)>/) || String(author).match(/([^\s<>"]+@[^\s<>"]+)/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  // "Jane Doe <jane@example.com>" -> "Jane Doe"; null without a name
+  static extractDisplayName(author) {
+    const match = String(author || '').match(/^\s*"?([^"<]*?)"?\s*<[^<>]+>\s*$/);
+    const name = match ? match[1].trim() : '';
+    return name && !name.includes('@') ? name : null;
+  }
+
+  // headers: messages.getFull() map of lowercase name -> array of values
+  static parseHeaders(email, headers) {
+    const domain = email.slice(email.lastIndexOf('@') + 1);
+    const first = name => (headers[name] && headers[name].length > 0 ? String(headers[name][0]) : null);
+
+    const recorded = {};
+    MessageHintStore.HEADERS.forEach(name => {
+      const value = first(name);
+      if (value) recorded[name] = value;
+    });
+
+    return {
+      email,
+      domain,
+      dmarcPass: MessageHintStore.dmarcPassed(first('authentication-results'), domain),
+      bimiPass: MessageHintStore.bimiPassed(first('authentication-results')),
+      list: MailingLists.fromHeaders(email, recorded),
+      headers: recorded,
+      seenAt: Date.now()
+    };
+  }
+
+  // Only the topmost Authentication-Results header is trusted: it was added by
+  // the receiving server, anything below it could have come from the sender
+  static dmarcPassed(authenticationResults, domain) {
+    if (!authenticationResults) return false;
+
+    const result = authenticationResults.match(/\bdmarc\s*=\s*([a-z]+)([^;]*)/i);
+    if (!result || result[1].toLowerCase() !== 'pass') return false;
+
+    const headerFrom = result[2].match(/header\.from\s*=\s*"?([^\s;"]+)/i);
+    if (!headerFrom) return true;
+
+    // The result must be about this sender's From domain
+    return headerFrom[1].toLowerCase() === domain;
+  }
+
+  // Whether the receiving server validated the BIMI logo itself. Only then are
+  // its BIMI-Indicator and BIMI-Location headers its own and not the sender's.
+  static bimiPassed(authenticationResults) {
+    const result = String(authenticationResults || '').match(/\bbimi\s*=\s*([a-z]+)/i);
+    return Boolean(result) && result[1].toLowerCase() === 'pass';
+  }
+}
+
+// Headers worth remembering per sender
+MessageHintStore.HEADERS = ['bimi-location', 'bimi-indicator', 'bimi-selector', 'list-id', 'list-post'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageHintStore;
+} else if (typeof window !== 'undefined') {
+  window.MessageHintStore = MessageHintStore;
+}
@@ -0,0 +1,297 @@
+/**
+ * Avatar Card View - Message Protocol
+ * Shared, versioned message schema for background, content scripts and options page
+ *
+ * Every request is an envelope { protocol, version, type, payload } and every
+ * reply is { protocol, version, ok, data } or { protocol, version, ok: false,
+ * error: { code, message } }. Payloads and response data are validated against
+ * MessageProtocol.TYPES on both ends, so a sender and receiver cannot drift
+ * apart silently.
+ */
+
+class MessageError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class MessageProtocol {
+  // Client side: send a request to the background and return its validated data
+  static async send(type, payload = {}) {
+    const request = MessageProtocol.createRequest(type, payload);
+
+    let response;
+    try {
+      response = await browser.runtime.sendMessage(request);
+    } catch (error) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.TRANSPORT_ERROR, error.message || String(error));
+    }
+
+    return MessageProtocol.unwrapResponse(type, response);
+  }
+
+  // Background side: push a message to the content script of one tab frame
+  static async sendToTab(tabId, type, payload = {}, frameId = 0) {
+    const request = MessageProtocol.createRequest(type, payload);
+
+    let response;
+    try {
+      response = await browser.tabs.sendMessage(tabId, request, { frameId });
+    } catch (error) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.TRANSPORT_ERROR, error.message || String(error));
+    }
+
+    return MessageProtocol.unwrapResponse(type, response);
+  }
+
+  static createRequest(type, payload = {}) {
+    MessageProtocol.validateRequest(type, payload);
+    return {
+      protocol: MessageProtocol.NAME,
+      version: MessageProtocol.VERSION,
+      type: type,
+      payload: payload
+    };
+  }
+
+  static createResponse(data) {
+    return {
+      protocol: MessageProtocol.NAME,
+      version: MessageProtocol.VERSION,
+      ok: true,
+      data: data
+    };
+  }
+
+  static createErrorResponse(code, message) {
+    return {
+      protocol: MessageProtocol.NAME,
+      version: MessageProtocol.VERSION,
+      ok: false,
+      error: { code, message }
+    };
+  }
+
+  static isProtocolMessage(message) {
+    return !!message && typeof message === 'object' && message.protocol === MessageProtocol.NAME;
+  }
+
+  static validateRequest(type, payload) {
+    const definition = MessageProtocol.TYPES[type];
+    if (!definition) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${type}"`);
+    }
+
+    const problems = MessageProtocol.validateFields(definition.request, payload);
+    if (problems.length > 0) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.INVALID_PAYLOAD, `Invalid ${type} payload: ${problems.join('; ')}`, problems);
+    }
+  }
+
+  static validateResponseData(type, data) {
+    const problems = MessageProtocol.validateFields(MessageProtocol.TYPES[type].response, data);
+    if (problems.length > 0) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.INVALID_RESPONSE, `Invalid ${type} response: ${problems.join('; ')}`, problems);
+    }
+  }
+
+  static unwrapResponse(type, response) {
+    if (!MessageProtocol.isProtocolMessage(response)) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.INVALID_RESPONSE, `No valid response to ${type}`);
+    }
+    if (response.version !== MessageProtocol.VERSION) {
+      throw new MessageError(MessageProtocol.ERROR_CODES.UNSUPPORTED_VERSION, `Response version ${response.version} is not supported`);
+    }
+    if (!response.ok) {
+      const error = response.error || {};
+      throw new MessageError(error.code || MessageProtocol.ERROR_CODES.HANDLER_ERROR, error.message || `${type} failed`);
+    }
+
+    MessageProtocol.validateResponseData(type, response.data);
+    return response.data;
+  }
+
+  // Receiver side: build a runtime.onMessage listener from { type: handler(payload, sender) }
+  static createListener(handlers) {
+    return (message, sender) => {
+      // Leave messages that are not ours to other listeners
+      if (!MessageProtocol.isProtocolMessage(message)) {
+        return undefined;
+      }
+      return MessageProtocol.dispatch(handlers, message, sender);
+    };
+  }
+
+  static async dispatch(handlers, message, sender) {
+    const codes = MessageProtocol.ERROR_CODES;
+
+    try {
+      if (message.version !== MessageProtocol.VERSION) {
+        throw new MessageError(codes.UNSUPPORTED_VERSION, `Message version ${message.version} is not supported`);
+      }
+
+      const payload = message.payload || {};
+      MessageProtocol.validateRequest(message.type, payload);
+
+      const handler = handlers[message.type];
+      if (!handler) {
+        throw new MessageError(codes.UNKNOWN_TYPE, `No handler for message type "${message.type}"`);
+      }
+
+      const data = await handler(payload, sender);
+      MessageProtocol.validateResponseData(message.type, data);
+      return MessageProtocol.createResponse(data);
+    } catch (error) {
+      if (error instanceof MessageError) {
+        console.warn('Message rejected:', message.type, error.code, error.message);
+        return MessageProtocol.createErrorResponse(error.code, error.message);
+      }
+      console.error('Message handling error:', message.type, error);
+      return MessageProtocol.createErrorResponse(codes.HANDLER_ERROR, error.message || String(error));
+    }
+  }
+
+  // Check an object against a { field: { type, required, nullable } } schema
+  static validateFields(schema, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return ['expected an object'];
+    }
+
+    const problems = [];
+    Object.entries(schema || {}).forEach(([field, rule]) => {
+      const fieldValue = value[field];
+
+      if (fieldValue === undefined) {
+        if (rule.required) problems.push(`${field} is required`);
+        return;
+      }
+      if (fieldValue === null) {
+        if (!rule.nullable) problems.push(`${field} must not be null`);
+        return;
+      }
+
+      const actual = Array.isArray(fieldValue) ? 'array' : typeof fieldValue;
+      if (actual !== rule.type) {
+        problems.push(`${field} must be ${rule.type}, got ${actual}`);
+      } else if (rule.type === 'string' && rule.minLength && fieldValue.length < rule.minLength) {
+        problems.push(`${field} must not be empty`);
+      }
+    });
+
+    return problems;
+  }
+}
+
+MessageProtocol.NAME = 'avatar-card-view';
+
+// Bump when an incompatible change is made to any message
+MessageProtocol.VERSION = 1;
+
+MessageProtocol.ERROR_CODES = {
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  HANDLER_ERROR: 'HANDLER_ERROR',
+  TRANSPORT_ERROR: 'TRANSPORT_ERROR'
+};
+
+// Request payload and response data schema for every message type
+MessageProtocol.TYPES = {
+  getAvatar: {
+    // priority: 'visible' (on screen), 'normal' or 'background'
+    // displayName: the name shown next to the address, used for initials
+    request: {
+      email: { type: 'string', required: true, minLength: 3 },
+      priority: { type: 'string' },
+      displayName: { type: 'string', nullable: true }
+    },
+    response: { avatar: { type: 'object', required: true, nullable: true } }
+  },
+  cancelAvatars: {
+    request: { emails: { type: 'array', required: true } },
+    response: { cancelled: { type: 'number', required: true } }
+  },
+  getSettings: {
+    request: {},
+    response: { settings: { type: 'object', required: true } }
+  },
+  updateSettings: {
+    request: { settings: { type: 'object', required: true } },
+    response: { settings: { type: 'object', required: true } }
+  },
+  clearCache: {
+    request: {},
+    response: { cleared: { type: 'boolean', required: true } }
+  },
+  getCacheStats: {
+    request: {},
+    response: { stats: { type: 'object', required: true } }
+  },
+  getProviders: {
+    request: {},
+    response: { providers: { type: 'array', required: true } }
+  },
+  getOverrides: {
+    request: {},
+    response: { overrides: { type: 'array', required: true } }
+  },
+  saveOverride: {
+    request: { override: { type: 'object', required: true } },
+    response: { override: { type: 'object', required: true } }
+  },
+  deleteOverride: {
+    request: { id: { type: 'string', required: true, minLength: 1 } },
+    response: { deleted: { type: 'boolean', required: true } }
+  },
+  exportSettings: {
+    request: {
+      includeCache: { type: 'boolean' },
+      includeSecrets: { type: 'boolean' }
+    },
+    response: { bundle: { type: 'object', required: true } }
+  },
+  previewImport: {
+    request: { bundle: { type: 'object', required: true } },
+    response: { preview: { type: 'object', required: true } }
+  },
+  importSettings: {
+    // mode: 'merge' keeps what the bundle does not mention, 'replace' starts from defaults
+    request: {
+      bundle: { type: 'object', required: true },
+      mode: { type: 'string', required: true, minLength: 1 }
+    },
+    response: { summary: { type: 'object', required: true } }
+  },
+  getPublicSuffixInfo: {
+    request: {},
+    response: { info: { type: 'object', required: true } }
+  },
+  updatePublicSuffixList: {
+    // text: null reverts to the bundled list
+    request: {
+      text: { type: 'string', required: true, nullable: true, minLength: 1 },
+      fileName: { type: 'string', nullable: true }
+    },
+    response: { info: { type: 'object', required: true } }
+  },
+  avatarUpdated: {
+    // Pushed by the background to content scripts showing the address
+    request: {
+      email: { type: 'string', required: true, minLength: 3 },
+      avatar: { type: 'object', required: true, nullable: true }
+    },
+    response: { updated: { type: 'number', required: true } }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageProtocol, MessageError };
+} else if (typeof window !== 'undefined') {
+  window.MessageProtocol = MessageProtocol;
+  window.MessageError = MessageError;
+}
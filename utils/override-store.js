@@ -0,0 +1,252 @@
+/**
+ * Avatar Card View - Avatar Overrides
+ * User-defined avatars that win over every provider
+ *
+ * An override matches an exact address, a domain pattern ("example.com",
+ * "*.example.com") or a regular expression over the whole address, and shows
+ * an uploaded image, an image URL, forced initials or no avatar at all.
+ * List overrides match a mailing list by its List-Id and replace the
+ * generated list avatar. Overrides are kept in storage.local under
+ * "avatarOverrides".
+ */
+
+class AvatarOverrideStore {
+  constructor() {
+    this.overrides = [];
+    this.compiled = new Map();
+  }
+
+  async load() {
+    try {
+      const stored = await browser.storage.local.get(AvatarOverrideStore.STORAGE_KEY);
+      const list = stored[AvatarOverrideStore.STORAGE_KEY];
+      this.setAll(Array.isArray(list) ? list : []);
+    } catch (error) {
+      console.warn('Avatar overrides could not be loaded:', error);
+      this.setAll([]);
+    }
+    return this.overrides;
+  }
+
+  list() {
+    return this.overrides.slice();
+  }
+
+  setAll(overrides) {
+    this.overrides = overrides.reduce((valid, override) => {
+      try {
+        valid.push(AvatarOverrideStore.validate(override));
+      } catch (error) {
+        console.warn('Ignoring invalid avatar override:', override, error.message);
+      }
+      return valid;
+    }, []);
+    this.compiled.clear();
+  }
+
+  // Adds a new override or replaces the one with the same id
+  async save(override) {
+    const normalized = AvatarOverrideStore.validate({
+      ...override,
+      id: override.id || AvatarOverrideStore.createId(),
+      updatedAt: Date.now()
+    });
+
+    const index = this.overrides.findIndex(existing => existing.id === normalized.id);
+    if (index === -1) {
+      this.overrides.push(normalized);
+    } else {
+      this.overrides[index] = normalized;
+    }
+    this.compiled.clear();
+
+    await this.persist();
+    return normalized;
+  }
+
+  // Bulk import. Merging replaces existing overrides with the same match type
+  // and pattern and keeps the rest; replacing drops everything not imported.
+  async importAll(overrides, replace = false) {
+    const result = replace ? [] : this.overrides.slice();
+
+    overrides.forEach(override => {
+      const index = result.findIndex(existing =>
+        existing.matchType === override.matchType && existing.pattern === override.pattern);
+      if (index === -1) {
+        result.push({ ...override, id: AvatarOverrideStore.createId() });
+      } else {
+        result[index] = { ...override, id: result[index].id };
+      }
+    });
+
+    this.setAll(result);
+    await this.persist();
+    return this.overrides.length;
+  }
+
+  async remove(id) {
+    const before = this.overrides.length;
+    this.overrides = this.overrides.filter(override => override.id !== id);
+    this.compiled.clear();
+
+    if (this.overrides.length === before) return false;
+    await this.persist();
+    return true;
+  }
+
+  async persist() {
+    await browser.storage.local.set({ [AvatarOverrideStore.STORAGE_KEY]: this.overrides });
+  }
+
+  // Most specific match: exact address, then the longest domain pattern, then
+  // the first matching regular expression
+  match(email) {
+    const address = (email || '').trim().toLowerCase();
+    if (!address.includes('@')) return null;
+    const domain = address.slice(address.lastIndexOf('@') + 1);
+
+    const exact = this.overrides.find(override => override.matchType === 'address' && override.pattern === address);
+    if (exact) return exact;
+
+    const domainMatch = this.overrides
+      .filter(override => override.matchType === 'domain' && this.matchesDomain(override, domain))
+      .sort((a, b) => b.pattern.length - a.pattern.length)[0];
+    if (domainMatch) return domainMatch;
+
+    return this.overrides.find(override => override.matchType === 'regex' && this.getRegex(override).test(address)) || null;
+  }
+
+  // Override for the mailing list with this List-Id, or null
+  matchList(listId) {
+    const id = (listId || '').trim().toLowerCase();
+    if (!id) return null;
+    return this.overrides.find(override => override.matchType === 'list' && override.pattern === id) || null;
+  }
+
+  // "*.example.com" covers example.com and all of its subdomains; any other
+  // "*" matches within a single label
+  matchesDomain(override, domain) {
+    const pattern = override.pattern;
+    if (pattern.startsWith('*.') && !pattern.slice(2).includes('*')) {
+      const base = pattern.slice(2);
+      return domain === base || domain.endsWith(`.${base}`);
+    }
+    if (!pattern.includes('*')) {
+      return domain === pattern;
+    }
+    return this.getRegex(override).test(domain);
+  }
+
+  getRegex(override) {
+    if (!this.compiled.has(override.id)) {
+      this.compiled.set(override.id, AvatarOverrideStore.compile(override));
+    }
+    return this.compiled.get(override.id);
+  }
+
+  static createId() {
+    return `override-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  static compile(override) {
+    if (override.matchType === 'regex') {
+      return new RegExp(override.pattern, 'i');
+    }
+    const escaped = override.pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('[^.]*')}$`, 'i');
+  }
+
+  // Returns a normalized copy or throws an Error describing the problem
+  static validate(override) {
+    if (!override || typeof override !== 'object') {
+      throw new Error(I18n.get('errorOverrideNotObject'));
+    }
+
+    const matchType = override.matchType;
+    if (!AvatarOverrideStore.MATCH_TYPES.includes(matchType)) {
+      throw new Error(I18n.get('errorUnknownMatchType', matchType));
+    }
+
+    let pattern = String(override.pattern || '').trim();
+    if (matchType === 'list') {
+      // Accepts the header value as copied: "Dev List <dev.lists.example.org>"
+      const listId = MailingLists.parseListId(pattern);
+      pattern = listId ? listId.id : pattern.toLowerCase();
+    } else if (matchType !== 'regex') {
+      pattern = pattern.toLowerCase().replace(/^\*?@/, '');
+    }
+    if (!pattern) {
+      throw new Error(I18n.get('errorPatternRequired'));
+    }
+    if (matchType === 'address' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(pattern)) {
+      throw new Error(I18n.get('errorNotAnAddress', pattern));
+    }
+    if (matchType === 'domain' && !/^(\*\.)?[a-z0-9*-]+(\.[a-z0-9*-]+)+$/.test(pattern)) {
+      throw new Error(I18n.get('errorNotADomain', pattern));
+    }
+    if (matchType === 'list' && !/^[^\s@<>]+\.[^\s@<>]+$/.test(pattern)) {
+      throw new Error(I18n.get('errorNotAListId', pattern));
+    }
+    if (matchType === 'regex') {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(I18n.get('errorInvalidRegex', pattern));
+      }
+    }
+
+    const mode = override.mode;
+    if (!AvatarOverrideStore.MODES.includes(mode)) {
+      throw new Error(I18n.get('errorUnknownMode', mode));
+    }
+    if (matchType === 'list' && mode === 'none') {
+      throw new Error(I18n.get('errorListCannotHide'));
+    }
+
+    let value = override.value == null ? '' : String(override.value).trim();
+    if (mode === 'image') {
+      if (!/^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,/.test(value)) {
+        throw new Error(I18n.get('errorImageType'));
+      }
+      if (value.length > AvatarOverrideStore.MAX_IMAGE_LENGTH) {
+        throw new Error(I18n.get('errorImageTooLarge'));
+      }
+    } else if (mode === 'url') {
+      if (!/^https?:\/\/\S+$/i.test(value)) {
+        throw new Error(I18n.get('errorImageUrl'));
+      }
+    } else if (mode === 'initials') {
+      // Any script or emoji, counted in graphemes rather than code units
+      value = value.toUpperCase();
+      if (value && (/\s/.test(value) || InitialsGenerator.graphemes(value).length > 3)) {
+        throw new Error(I18n.get('errorInitials'));
+      }
+    } else {
+      value = '';
+    }
+
+    return {
+      id: String(override.id || ''),
+      matchType,
+      pattern,
+      mode,
+      value,
+      note: String(override.note || '').slice(0, 200),
+      updatedAt: override.updatedAt || Date.now()
+    };
+  }
+}
+
+AvatarOverrideStore.STORAGE_KEY = 'avatarOverrides';
+AvatarOverrideStore.MATCH_TYPES = ['address', 'domain', 'regex', 'list'];
+AvatarOverrideStore.MODES = ['image', 'url', 'initials', 'none'];
+
+// Data URL length, roughly 375 KB of image data
+AvatarOverrideStore.MAX_IMAGE_LENGTH = 500 * 1024;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AvatarOverrideStore;
+} else if (typeof window !== 'undefined') {
+  window.AvatarOverrideStore = AvatarOverrideStore;
+}
@@ -125,22 +125,10 @@ class PerformanceMonitor {
       const usageRatio = memory.used / memory.limit;
       if (usageRatio > 0.8) {
         console.warn(`High memory usage: ${(usageRatio * 100).toFixed(1)}%`);
-        this.suggestCleanup();
       }
     }
   }
 
-  // Suggest cleanup when memory is high
-  suggestCleanup() {
-    // Suggest cache cleanup
-    browser.runtime.sendMessage({
-      action: 'suggestionCleanup',
-      reason: 'high_memory_usage'
-    }).catch(() => {
-      // Background script might not be available
-    });
-  }
-
   // Get performance report
   getReport() {
     const uptime = Date.now() - this.startTime;
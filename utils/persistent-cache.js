@@ -0,0 +1,150 @@
+/**
+ * Avatar Card View - Persistent Avatar Cache
+ * IndexedDB-backed storage for resolved avatars that survives background page unloads
+ *
+ * Each record holds the avatar metadata, the image bytes (as a Blob) when the
+ * avatar points at a remote URL, and the time it was stored. The same database
+ * also holds per-domain provider outcomes (store "domains", see DomainCache).
+ */
+
+class PersistentAvatarCache {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'avatar-card-view';
+    this.storeName = options.storeName || 'avatars';
+    this.keyPath = PersistentAvatarCache.STORES[this.storeName];
+    this.dbPromise = null;
+
+    if (!this.keyPath) {
+      throw new Error(`Unknown persistent cache store "${this.storeName}"`);
+    }
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, PersistentAvatarCache.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(PersistentAvatarCache.STORES).forEach(([name, keyPath]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            const store = db.createObjectStore(name, { keyPath });
+            store.createIndex('timestamp', 'timestamp');
+          }
+        });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Drop the handle if another context upgrades the schema
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run a callback against the object store and resolve with its request result
+  async withStore(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const store = transaction.objectStore(this.storeName);
+      let result;
+
+      const request = callback(store);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async get(key) {
+    const record = await this.withStore('readonly', store => store.get(key));
+    return record || null;
+  }
+
+  async set(key, data, image = null, timestamp = Date.now()) {
+    await this.withStore('readwrite', store => store.put({ [this.keyPath]: key, data, image, timestamp }));
+  }
+
+  async delete(key) {
+    await this.withStore('readwrite', store => store.delete(key));
+  }
+
+  async getAll() {
+    return this.withStore('readonly', store => store.getAll());
+  }
+
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+  }
+
+  async count() {
+    return this.withStore('readonly', store => store.count());
+  }
+
+  // Remove every record stored before now - maxAge, or for which isExpired(record) holds
+  async prune(maxAge, isExpired = null) {
+    const cutoff = Date.now() - maxAge;
+    let removed = 0;
+
+    await this.withStore('readwrite', store => {
+      const range = isExpired ? null : IDBKeyRange.upperBound(cutoff, true);
+      const request = store.index('timestamp').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          const record = cursor.value;
+          if (record.timestamp < cutoff || (isExpired && isExpired(record))) {
+            cursor.delete();
+            removed++;
+          }
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+
+    return removed;
+  }
+}
+
+PersistentAvatarCache.DB_VERSION = 2;
+
+// Object stores and their key paths
+PersistentAvatarCache.STORES = {
+  avatars: 'email',
+  domains: 'key'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PersistentAvatarCache;
+} else if (typeof window !== 'undefined') {
+  window.PersistentAvatarCache = PersistentAvatarCache;
+}
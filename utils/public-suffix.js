@@ -0,0 +1,113 @@
+/**
+ * Avatar Card View - Public Suffix List
+ * Registrable-domain lookup (eTLD+1) following the publicsuffix.org algorithm
+ *
+ * alerts.mail.example.co.uk -> example.co.uk, so every subdomain of an
+ * organization shares one logo lookup. The rules are loaded from the bundled
+ * data/public_suffix_list.dat or from a newer copy the user imported.
+ */
+
+class PublicSuffixList {
+  constructor() {
+    this.rules = new Set();
+    this.wildcards = new Set();
+    this.exceptions = new Set();
+    this.ruleCount = 0;
+  }
+
+  isLoaded() {
+    return this.ruleCount > 0;
+  }
+
+  // Parse the standard .dat format; throws if the text contains no rules
+  load(text) {
+    const rules = new Set();
+    const wildcards = new Set();
+    const exceptions = new Set();
+    let ruleCount = 0;
+
+    String(text || '').split(/\r?\n/).forEach(line => {
+      // A rule is the first whitespace-delimited token of a non-comment line
+      const rule = line.trim().split(/\s/)[0];
+      if (!rule || rule.startsWith('//')) return;
+
+      if (rule.startsWith('!')) {
+        exceptions.add(this.toAscii(rule.slice(1)));
+      } else if (rule.startsWith('*.')) {
+        wildcards.add(this.toAscii(rule.slice(2)));
+      } else {
+        rules.add(this.toAscii(rule));
+      }
+      ruleCount++;
+    });
+
+    if (ruleCount === 0) {
+      throw new Error('No public suffix rules found');
+    }
+
+    this.rules = rules;
+    this.wildcards = wildcards;
+    this.exceptions = exceptions;
+    this.ruleCount = ruleCount;
+    return ruleCount;
+  }
+
+  // Longest matching public suffix; the implicit "*" rule makes the TLD one otherwise
+  getPublicSuffix(host) {
+    const labels = this.toAscii(host).split('.').filter(Boolean);
+    if (labels.length === 0) return null;
+
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+
+      // Exception rules win and make their parent the suffix
+      if (this.exceptions.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (this.rules.has(candidate)) {
+        return candidate;
+      }
+      const parent = labels.slice(i + 1).join('.');
+      if (i + 1 < labels.length && this.wildcards.has(parent)) {
+        return candidate;
+      }
+    }
+
+    return labels[labels.length - 1];
+  }
+
+  // Public suffix plus one label, or null when the host is itself a public suffix
+  getRegistrableDomain(host) {
+    if (!host) return null;
+
+    const ascii = this.toAscii(host);
+    if (!this.isLoaded()) return ascii;
+
+    const suffix = this.getPublicSuffix(ascii);
+    if (!suffix || ascii === suffix) return null;
+
+    const labels = ascii.slice(0, -(suffix.length + 1)).split('.');
+    return `${labels[labels.length - 1]}.${suffix}`;
+  }
+
+  // Lowercase ASCII (punycode) form, so IDN rules and hosts compare equal
+  toAscii(domain) {
+    const lower = String(domain).trim().toLowerCase().replace(/\.$/, '');
+    if (/^[\x00-\x7f]*$/.test(lower)) return lower;
+
+    try {
+      return new URL(`http://${lower}/`).hostname;
+    } catch (error) {
+      return lower;
+    }
+  }
+}
+
+PublicSuffixList.BUNDLED_PATH = 'data/public_suffix_list.dat';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicSuffixList;
+} else if (typeof window !== 'undefined') {
+  window.PublicSuffixList = PublicSuffixList;
+}
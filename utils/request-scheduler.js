@@ -0,0 +1,276 @@
+/**
+ * Avatar Card View - Request Scheduler
+ * Single queue for every outbound avatar request made by the background
+ *
+ * Caps concurrent requests globally and per host, runs on-screen lookups
+ * before the rest, and backs off from hosts answering 429 or 5xx (honoring
+ * Retry-After). Requests are tagged with a group (the address being looked
+ * up) so everything queued for an address can be cancelled at once.
+ */
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.transport = options.fetch || ((...args) => fetch(...args));
+    this.maxConcurrent = options.maxConcurrent || 6;
+    this.maxPerHost = options.maxPerHost || 2;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+
+    this.queue = [];
+    this.active = 0;
+    this.activePerHost = new Map();
+    // host -> { failures, blockedUntil }
+    this.backoff = new Map();
+    this.cancelledGroups = new Set();
+    this.sequence = 0;
+    this.wakeTimer = null;
+  }
+
+  // Queue a fetch; resolves with the Response once it has run.
+  // request: { priority: 'visible' | 'normal' | 'background', group }
+  // options.timeout: milliseconds from dispatch, not from queueing, after
+  // which the request (and reading its body) is aborted
+  fetch(url, options = {}, request = {}) {
+    const group = request.group || null;
+    if (group && this.cancelledGroups.has(group)) {
+      return Promise.reject(RequestScheduler.createCancellation(group));
+    }
+
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        url,
+        options,
+        host,
+        group,
+        priority: RequestScheduler.PRIORITIES[request.priority] ?? RequestScheduler.PRIORITIES.normal,
+        sequence: this.sequence++,
+        attempts: 0,
+        resolve,
+        reject
+      };
+
+      // A caller-supplied signal can withdraw the request while it waits
+      if (options.signal) {
+        if (options.signal.aborted) {
+          reject(RequestScheduler.createCancellation(group));
+          return;
+        }
+        options.signal.addEventListener('abort', () => {
+          if (this.removeQueued(entry)) {
+            reject(RequestScheduler.createCancellation(group));
+          }
+        }, { once: true });
+      }
+
+      this.enqueue(entry);
+      this.pump();
+    });
+  }
+
+  enqueue(entry) {
+    this.queue.push(entry);
+    this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+  }
+
+  removeQueued(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index === -1) return false;
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  // Raise (or lower) everything still queued for a group, e.g. when an
+  // address scrolls into view
+  reprioritize(group, priority) {
+    const value = RequestScheduler.PRIORITIES[priority];
+    if (value === undefined) return;
+
+    let changed = false;
+    this.queue.forEach(entry => {
+      if (entry.group === group && entry.priority !== value) {
+        entry.priority = value;
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+    }
+  }
+
+  // Reject queued requests of a group and refuse new ones until release()
+  cancel(group) {
+    this.cancelledGroups.add(group);
+    const cancelled = this.queue.filter(entry => entry.group === group);
+    this.queue = this.queue.filter(entry => entry.group !== group);
+    cancelled.forEach(entry => entry.reject(RequestScheduler.createCancellation(group)));
+    return cancelled.length;
+  }
+
+  release(group) {
+    this.cancelledGroups.delete(group);
+  }
+
+  isCancelled(group) {
+    return this.cancelledGroups.has(group);
+  }
+
+  pump() {
+    const now = Date.now();
+
+    while (this.active < this.maxConcurrent) {
+      const index = this.queue.findIndex(entry =>
+        (this.activePerHost.get(entry.host) || 0) < this.maxPerHost && this.getBlockedUntil(entry.host) <= now);
+      if (index === -1) break;
+
+      const [entry] = this.queue.splice(index, 1);
+      this.run(entry);
+    }
+
+    this.scheduleWake(now);
+  }
+
+  // Wake up when the earliest backed-off host with queued work becomes available
+  scheduleWake(now) {
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+
+    const waits = this.queue
+      .map(entry => this.getBlockedUntil(entry.host))
+      .filter(until => until > now);
+    if (waits.length === 0) return;
+
+    this.wakeTimer = setTimeout(() => this.pump(), Math.min(...waits) - now);
+  }
+
+  async run(entry) {
+    this.active++;
+    this.activePerHost.set(entry.host, (this.activePerHost.get(entry.host) || 0) + 1);
+    entry.attempts++;
+
+    const { timeout, ...options } = entry.options;
+    let timedOut = false;
+    if (timeout) {
+      const controller = new AbortController();
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+      options.signal = controller.signal;
+      setTimeout(() => {
+        timedOut = true;
+        controller.abort(RequestScheduler.createTimeout(entry.url));
+      }, timeout);
+    }
+
+    try {
+      const response = await this.transport(entry.url, options);
+
+      if (RequestScheduler.isRetryable(response.status)) {
+        const delay = this.registerFailure(entry.host, response);
+        if (entry.attempts <= this.maxRetries && !this.isCancelled(entry.group)) {
+          console.debug(`Backing off ${entry.host} for ${delay}ms after HTTP ${response.status}`);
+          this.enqueue(entry);
+          return;
+        }
+      } else {
+        this.backoff.delete(entry.host);
+      }
+
+      entry.resolve(response);
+    } catch (error) {
+      entry.reject(timedOut ? RequestScheduler.createTimeout(entry.url) : error);
+    } finally {
+      this.active--;
+      const remaining = this.activePerHost.get(entry.host) - 1;
+      if (remaining > 0) {
+        this.activePerHost.set(entry.host, remaining);
+      } else {
+        this.activePerHost.delete(entry.host);
+      }
+      this.pump();
+    }
+  }
+
+  // Exponential backoff per host; Retry-After wins when the server sends one
+  registerFailure(host, response) {
+    const state = this.backoff.get(host) || { failures: 0, blockedUntil: 0 };
+    state.failures++;
+
+    const retryAfter = RequestScheduler.parseRetryAfter(response.headers && response.headers.get('retry-after'));
+    const delay = Math.min(this.maxDelay, retryAfter ?? this.baseDelay * 2 ** (state.failures - 1));
+    state.blockedUntil = Date.now() + delay;
+
+    this.backoff.set(host, state);
+    return delay;
+  }
+
+  getBlockedUntil(host) {
+    const state = this.backoff.get(host);
+    return state ? state.blockedUntil : 0;
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      backedOffHosts: Array.from(this.backoff.entries())
+        .filter(([, state]) => state.blockedUntil > now)
+        .map(([host]) => host)
+    };
+  }
+
+  static isRetryable(status) {
+    return status === 429 || status >= 500;
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date; returns milliseconds
+  static parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  static createCancellation(group) {
+    const error = new Error(`Request cancelled${group ? ` for ${group}` : ''}`);
+    error.name = 'AbortError';
+    error.cancelled = true;
+    error.group = group;
+    return error;
+  }
+
+  static isCancellation(error) {
+    return !!error && error.cancelled === true;
+  }
+
+  static createTimeout(url) {
+    const error = new Error(`Request timed out: ${url}`);
+    error.name = 'TimeoutError';
+    error.timedOut = true;
+    return error;
+  }
+}
+
+// Lower runs first
+RequestScheduler.PRIORITIES = {
+  visible: 0,
+  normal: 1,
+  background: 2
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestScheduler;
+} else if (typeof window !== 'undefined') {
+  window.RequestScheduler = RequestScheduler;
+}
@@ -0,0 +1,142 @@
+/**
+ * Avatar Card View - Settings Bundle
+ * Versioned JSON export of settings, provider order, overrides and cached avatars
+ *
+ * A bundle moves a complete avatar configuration between workstations:
+ * { format, version, exportedAt, settings, overrides, cache? }. Importing
+ * validates it against the running configuration, reports what would change
+ * and then merges into or replaces the current state.
+ */
+
+class SettingsBundle {
+  static create({ settings, overrides, cache = null, extensionVersion = null, includeSecrets = false }) {
+    const exported = { ...settings };
+    if (!includeSecrets) {
+      SettingsBundle.SECRET_KEYS.forEach(key => delete exported[key]);
+    }
+
+    const bundle = {
+      format: SettingsBundle.FORMAT,
+      version: SettingsBundle.VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: extensionVersion,
+      settings: exported,
+      overrides: overrides
+    };
+    if (cache) {
+      bundle.cache = cache;
+    }
+    return bundle;
+  }
+
+  // Returns { settings, overrides, cache, warnings } with everything unusable
+  // dropped; throws when the file is not a bundle at all. Settings are checked
+  // against SettingsSchema.
+  static validate(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== SettingsBundle.FORMAT) {
+      throw new Error(I18n.get('errorNotABundle'));
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > SettingsBundle.VERSION) {
+      throw new Error(I18n.get('errorBundleTooNew', bundle.version));
+    }
+
+    const warnings = [];
+
+    const settings = {};
+    Object.entries(bundle.settings && typeof bundle.settings === 'object' ? bundle.settings : {}).forEach(([key, value]) => {
+      const problem = SettingsSchema.check(key, value);
+      if (!SettingsSchema.isKnown(key)) {
+        warnings.push(I18n.get('warningUnknownSetting', key));
+      } else if (problem) {
+        warnings.push(I18n.get('warningSettingIgnored', problem));
+      } else {
+        settings[key] = value;
+      }
+    });
+
+    const overrides = [];
+    (Array.isArray(bundle.overrides) ? bundle.overrides : []).forEach((override, index) => {
+      try {
+        overrides.push(AvatarOverrideStore.validate(override));
+      } catch (error) {
+        warnings.push(I18n.get('warningOverrideIgnored', [index + 1, error.message]));
+      }
+    });
+
+    let cache = null;
+    if (Array.isArray(bundle.cache)) {
+      cache = bundle.cache.filter(entry => entry && typeof entry.email === 'string' && entry.data &&
+        typeof entry.data === 'object' && Number.isFinite(entry.timestamp));
+      if (cache.length < bundle.cache.length) {
+        warnings.push(I18n.get('warningMalformedCache', bundle.cache.length - cache.length));
+      }
+
+      // Images travel inside the bundle; a link would make the import fetch it
+      const embedded = cache.filter(entry => SettingsBundle.isImageDataUrl(entry.image || entry.data.url));
+      if (embedded.length < cache.length) {
+        warnings.push(I18n.get('warningCacheImageIgnored', cache.length - embedded.length));
+      }
+      cache = embedded;
+    }
+
+    return { settings, overrides, cache, warnings };
+  }
+
+  // What an import would change, for the preview shown before applying it
+  static diff(current, incoming) {
+    const settings = Object.keys(incoming.settings)
+      .filter(key => JSON.stringify(current.settings[key]) !== JSON.stringify(incoming.settings[key]))
+      .map(key => ({ key, current: current.settings[key], incoming: incoming.settings[key] }));
+
+    const byKey = new Map(current.overrides.map(override => [SettingsBundle.overrideKey(override), override]));
+    const overrides = { added: [], changed: [], unchanged: 0, removedOnReplace: 0 };
+    const incomingKeys = new Set();
+
+    incoming.overrides.forEach(override => {
+      const key = SettingsBundle.overrideKey(override);
+      incomingKeys.add(key);
+      const existing = byKey.get(key);
+      if (!existing) {
+        overrides.added.push(override.pattern);
+      } else if (existing.mode !== override.mode || existing.value !== override.value) {
+        overrides.changed.push(override.pattern);
+      } else {
+        overrides.unchanged++;
+      }
+    });
+    overrides.removedOnReplace = current.overrides.filter(override => !incomingKeys.has(SettingsBundle.overrideKey(override))).length;
+
+    return {
+      settings,
+      overrides,
+      cacheEntries: incoming.cache ? incoming.cache.length : 0,
+      warnings: incoming.warnings
+    };
+  }
+
+  static isImageDataUrl(value) {
+    return typeof value === 'string' && /^data:image\//i.test(value);
+  }
+
+  // Overrides are identified by what they match, not by their generated id
+  static overrideKey(override) {
+    return `${override.matchType}:${override.pattern}`;
+  }
+}
+
+SettingsBundle.FORMAT = 'avatar-card-view-bundle';
+
+// Bump when the bundle layout changes incompatibly
+SettingsBundle.VERSION = 1;
+
+SettingsBundle.MODES = ['merge', 'replace'];
+
+// Left out of exports unless explicitly requested
+SettingsBundle.SECRET_KEYS = ['brandfetchApiKey'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsBundle;
+} else if (typeof window !== 'undefined') {
+  window.SettingsBundle = SettingsBundle;
+}
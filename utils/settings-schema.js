@@ -0,0 +1,190 @@
+/**
+ * Avatar Card View - Settings Schema
+ * Types, ranges and defaults of every setting, shared by all extension contexts
+ *
+ * The background validates each update against this schema before storing it
+ * and migrates stored settings from older schema versions on startup. Options
+ * and content scripts take their defaults from here instead of keeping their
+ * own copies.
+ */
+
+class SettingsSchema {
+  // Fresh copy of the default settings
+  static defaults() {
+    const defaults = {};
+    Object.entries(SettingsSchema.FIELDS).forEach(([key, field]) => {
+      defaults[key] = SettingsSchema.copy(field.default);
+    });
+    return defaults;
+  }
+
+  static isKnown(key) {
+    return Object.prototype.hasOwnProperty.call(SettingsSchema.FIELDS, key);
+  }
+
+  // null when value is acceptable for key, otherwise the reason it is not
+  static check(key, value) {
+    if (!SettingsSchema.isKnown(key)) {
+      return I18n.get('settingUnknown', key);
+    }
+
+    const field = SettingsSchema.FIELDS[key];
+    switch (field.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : I18n.get('settingNotBoolean', key);
+      case 'integer':
+        if (!Number.isInteger(value)) return I18n.get('settingNotInteger', key);
+        return value < field.min || value > field.max ? I18n.get('settingOutOfRange', [key, field.min, field.max]) : null;
+      case 'enum':
+        return field.values.includes(value) ? null : I18n.get('settingNotAllowed', [key, field.values.join(', ')]);
+      case 'string':
+        if (typeof value !== 'string') return I18n.get('settingNotString', key);
+        return field.pattern && !field.pattern.test(value) ? I18n.get('settingInvalidFormat', key) : null;
+      case 'list': {
+        if (!Array.isArray(value)) return I18n.get('settingNotList', key);
+        const invalid = value.find(item => typeof item !== 'string' || (field.pattern && !field.pattern.test(item)));
+        return invalid === undefined ? null : I18n.get('settingInvalidItem', [key, String(invalid)]);
+      }
+      default:
+        return I18n.get('settingUnknown', key);
+    }
+  }
+
+  // Returns a copy of update; throws an Error naming the first unusable value
+  // so that an update is applied either completely or not at all
+  static validate(update) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+      throw new Error(I18n.get('settingsNotObject'));
+    }
+
+    const validated = {};
+    Object.entries(update).forEach(([key, value]) => {
+      const problem = SettingsSchema.check(key, value);
+      if (problem) {
+        throw new Error(problem);
+      }
+      validated[key] = SettingsSchema.copy(value);
+    });
+    return validated;
+  }
+
+  // Complete settings from what was stored under an older (or unknown)
+  // version: migrations run in order, then unusable values fall back to their
+  // defaults. Returns { settings, dropped } with the keys that were reset.
+  static migrate(stored, version = 1) {
+    let settings = { ...(stored && typeof stored === 'object' ? stored : {}) };
+    for (let from = version; from < SettingsSchema.VERSION; from++) {
+      const migration = SettingsSchema.MIGRATIONS[from];
+      if (migration) {
+        settings = migration(settings);
+      }
+    }
+
+    const result = SettingsSchema.defaults();
+    const dropped = [];
+    Object.entries(settings).forEach(([key, value]) => {
+      if (SettingsSchema.check(key, value)) {
+        dropped.push(key);
+      } else {
+        result[key] = SettingsSchema.copy(value);
+      }
+    });
+    return { settings: result, dropped };
+  }
+
+  static copy(value) {
+    return Array.isArray(value) ? [...value] : value;
+  }
+}
+
+// Bump together with a new MIGRATIONS entry whenever stored settings need
+// rewriting; the stored version lives next to the settings under VERSION_KEY
+SettingsSchema.VERSION = 2;
+SettingsSchema.STORAGE_KEY = 'avatarSettings';
+SettingsSchema.VERSION_KEY = 'avatarSettingsVersion';
+
+SettingsSchema.FIELDS = {
+  // Avatar sources
+  enableAddressBook: { type: 'boolean', default: true },
+  enableFavicon: { type: 'boolean', default: true },
+  enableLogoAPI: { type: 'boolean', default: true },
+  enableGoogleFavicon: { type: 'boolean', default: true },
+  enableGravatar: { type: 'boolean', default: false },
+  enableBrandfetch: { type: 'boolean', default: true },
+  enableBimi: { type: 'boolean', default: true },
+  enableMailingLists: { type: 'boolean', default: true },
+  enableCustomUrl: { type: 'boolean', default: false },
+  providerOrder: {
+    type: 'list',
+    pattern: /^[a-z0-9-]+$/,
+    default: ['mailing-list', 'address-book', 'gravatar', 'bimi', 'favicon', 'brandfetch', 'logo-api', 'google-favicon', 'custom-url']
+  },
+  brandfetchApiKey: { type: 'string', pattern: /^\S*$/, default: '' },
+  themeVariant: { type: 'enum', values: ['auto', 'light', 'dark'], default: 'auto' },
+  customConsumerDomains: { type: 'list', pattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/, default: [] },
+  customAvatarUrl: { type: 'string', pattern: /^(https?:\/\/\S+)?$/i, default: '' },
+  personalAvatarSource: { type: 'enum', values: ['gravatar', 'libravatar'], default: 'gravatar' },
+  libravatarFederation: { type: 'boolean', default: true },
+  dnsResolverUrl: { type: 'string', pattern: /^https?:\/\/\S+$/i, default: 'https://cloudflare-dns.com/dns-query' },
+
+  // Privacy
+  privacyMode: { type: 'enum', values: ['open', 'trusted', 'offline'], default: 'open' },
+  remoteLookupDomains: { type: 'list', pattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/, default: [] },
+
+  // Initials and list avatars
+  businessColorScheme: { type: 'boolean', default: true },
+  enhancedInitials: { type: 'boolean', default: true },
+  initialsShape: { type: 'enum', values: ['circle', 'rounded', 'square'], default: 'circle' },
+  initialsPalette: { type: 'enum', values: ['business', 'theme', 'custom'], default: 'business' },
+  initialsCustomColors: { type: 'list', pattern: /^#([0-9a-f]{3}|[0-9a-f]{6})$/, default: [] },
+  initialsColorMode: { type: 'enum', values: ['auto', 'light', 'dark'], default: 'auto' },
+  initialsDomainBadge: { type: 'boolean', default: false },
+  initialsFont: { type: 'enum', values: ['system', 'serif', 'rounded', 'monospace'], default: 'system' },
+  listPosterBadge: { type: 'boolean', default: true },
+
+  // Cache and performance
+  enableLocalCache: { type: 'boolean', default: true },
+  cacheExpiry: { type: 'integer', min: 60 * 60 * 1000, max: 30 * 24 * 60 * 60 * 1000, default: 24 * 60 * 60 * 1000 },
+  negativeCacheExpiry: { type: 'integer', min: 60 * 60 * 1000, max: 7 * 24 * 60 * 60 * 1000, default: 6 * 60 * 60 * 1000 },
+  maxCacheSize: { type: 'integer', min: 50, max: 500, default: 100 },
+  maxCacheBytes: { type: 'integer', min: 1024 * 1024, max: 64 * 1024 * 1024, default: 8 * 1024 * 1024 },
+  enablePrefetch: { type: 'boolean', default: true },
+  prefetchMessageLimit: { type: 'integer', min: 10, max: 200, default: 50 },
+
+  // Display
+  avatarSize: { type: 'integer', min: 32, max: 128, default: 64 },
+  cardPosition: { type: 'enum', values: ['top-right', 'top-left', 'bottom-right', 'bottom-left'], default: 'top-right' },
+  animationDuration: { type: 'integer', min: 0, max: 500, default: 200 }
+};
+
+// MIGRATIONS[n] turns settings stored under version n into version n + 1
+SettingsSchema.MIGRATIONS = {
+  // Version 1: stored before the schema existed, merged unchecked from
+  // whatever was sent. Numbers could arrive as strings or outside the range the
+  // options page offers, and list entries in mixed case; repair those instead
+  // of resetting them to the defaults.
+  1: settings => {
+    const migrated = { ...settings };
+    Object.entries(SettingsSchema.FIELDS).forEach(([key, field]) => {
+      if (!(key in migrated)) return;
+      const value = migrated[key];
+      if (field.type === 'integer') {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (Number.isFinite(number)) {
+          migrated[key] = Math.min(field.max, Math.max(field.min, Math.round(number)));
+        }
+      } else if (field.type === 'list' && Array.isArray(value)) {
+        // One bad entry should not cost the whole list
+        migrated[key] = value.map(item => String(item).trim().toLowerCase()).filter(item => field.pattern.test(item));
+      }
+    });
+    return migrated;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsSchema;
+} else if (typeof window !== 'undefined') {
+  window.SettingsSchema = SettingsSchema;
+}
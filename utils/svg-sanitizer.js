@@ -0,0 +1,107 @@
+/**
+ * Avatar Card View - SVG Sanitizer
+ * Reduces a BIMI logo to the static SVG Tiny Portable/Secure (Tiny PS) subset
+ *
+ * Scripts, event handlers, animation, foreign content and references to
+ * anything outside the document are removed; unknown elements are dropped.
+ * Returns null when the input is not a usable SVG document.
+ */
+
+class SvgSanitizer {
+  static sanitize(markup) {
+    if (typeof DOMParser === 'undefined' || typeof XMLSerializer === 'undefined') {
+      return null;
+    }
+    if (!markup || markup.length > SvgSanitizer.MAX_LENGTH) {
+      return null;
+    }
+
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.localName !== 'svg' || root.namespaceURI !== SvgSanitizer.SVG_NS ||
+        doc.getElementsByTagName('parsererror').length > 0) {
+      return null;
+    }
+
+    SvgSanitizer.cleanElement(root);
+    root.setAttribute('version', '1.2');
+    root.setAttribute('baseProfile', 'tiny-ps');
+
+    return new XMLSerializer().serializeToString(root);
+  }
+
+  static cleanElement(element) {
+    Array.from(element.attributes).forEach(attribute => {
+      if (!SvgSanitizer.isAllowedAttribute(attribute)) {
+        element.removeAttributeNode(attribute);
+      }
+    });
+
+    Array.from(element.childNodes).forEach(child => {
+      if (child.nodeType === 1) {
+        if (child.namespaceURI === SvgSanitizer.SVG_NS && SvgSanitizer.ALLOWED_ELEMENTS.has(child.localName)) {
+          SvgSanitizer.cleanElement(child);
+        } else {
+          element.removeChild(child);
+        }
+      } else if (child.nodeType !== 3) {
+        // Comments, CDATA sections and processing instructions
+        element.removeChild(child);
+      }
+    });
+  }
+
+  static isAllowedAttribute(attribute) {
+    const name = attribute.localName.toLowerCase();
+    const value = attribute.value.trim();
+
+    if (attribute.namespaceURI && !SvgSanitizer.ALLOWED_NAMESPACES.has(attribute.namespaceURI)) {
+      return false;
+    }
+    // Event handlers, inline CSS and xml:base
+    if (name.startsWith('on') || name === 'style' || name === 'base') {
+      return false;
+    }
+    // Only same-document references, e.g. <use href="#shape">
+    if (name === 'href') {
+      return value.startsWith('#');
+    }
+    if (/url\s*\(/i.test(value) && !/^url\s*\(\s*['"]?#[^)]*\)$/i.test(value)) {
+      return false;
+    }
+    return !/^\s*(javascript|data|vbscript):/i.test(value);
+  }
+
+  static toDataUrl(svg) {
+    const bytes = new TextEncoder().encode(svg);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return `data:image/svg+xml;base64,${btoa(binary)}`;
+  }
+}
+
+SvgSanitizer.SVG_NS = 'http://www.w3.org/2000/svg';
+
+// BIMI caps indicators at 32 KB
+SvgSanitizer.MAX_LENGTH = 32 * 1024;
+
+SvgSanitizer.ALLOWED_NAMESPACES = new Set([
+  'http://www.w3.org/2000/xmlns/',
+  'http://www.w3.org/1999/xlink',
+  'http://www.w3.org/XML/1998/namespace'
+]);
+
+// Static drawing elements of SVG Tiny 1.2
+SvgSanitizer.ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'use', 'title', 'desc',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textArea',
+  'linearGradient', 'radialGradient', 'stop', 'solidColor'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgSanitizer;
+} else if (typeof window !== 'undefined') {
+  window.SvgSanitizer = SvgSanitizer;
+}